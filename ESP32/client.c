@@ -4,12 +4,23 @@
 #include <ArduinoJson.h>
 #include <FS.h>
 #include <SPIFFS.h>
+#include <esp_system.h>
 
 HardwareSerial GPSserial(1);
 TinyGPSPlus gps;
 
 const char *serverBase = "https://esp32tracker.com/receivedata";
-const char *wifiApi = "https://esp32tracker.com/wifi?key=YOUR_API_KEY";
+const char *wifiApi = "https://esp32tracker.com/wifi";
+// Device key with the ingest and wifi scopes, sent as "Authorization: Bearer <key>"
+const char *apiKey = "YOUR_API_KEY";
+// Reported with every packet so the admin panel shows what each tracker runs
+const char *firmwareVersion = "1.1.0";
+
+// Battery sense through a voltage divider on an ADC pin; -1 = no battery reading
+#define BATTERY_PIN -1
+#define BATTERY_DIVIDER 2.0
+#define BATTERY_EMPTY_MV 3300
+#define BATTERY_FULL_MV 4200
 
 // Fallback WiFi (always available)
 const char *defaultSSID = "FALLBACK_SSID";
@@ -83,6 +94,7 @@ void fetchWifiList() {
 
   HTTPClient http;
   http.begin(wifiApi);
+  http.addHeader("Authorization", String("Bearer ") + apiKey);
   int httpCode = http.GET();
 
   if (httpCode == 200) {
@@ -107,6 +119,62 @@ void fetchWifiList() {
   http.end();
 }
 
+// Percent-encode a query parameter value (SSIDs may contain spaces and symbols)
+String urlEncode(const String &value) {
+  const char *hex = "0123456789ABCDEF";
+  String out;
+  for (size_t i = 0; i < value.length(); i++) {
+    char c = value[i];
+    if (isalnum(c) || c == '-' || c == '_' || c == '.' || c == '~') {
+      out += c;
+    } else {
+      out += '%';
+      out += hex[(c >> 4) & 0x0F];
+      out += hex[c & 0x0F];
+    }
+  }
+  return out;
+}
+
+const char *resetReasonName() {
+  switch (esp_reset_reason()) {
+    case ESP_RST_POWERON: return "POWERON";
+    case ESP_RST_EXT: return "EXT";
+    case ESP_RST_SW: return "SW";
+    case ESP_RST_PANIC: return "PANIC";
+    case ESP_RST_INT_WDT: return "INT_WDT";
+    case ESP_RST_TASK_WDT: return "TASK_WDT";
+    case ESP_RST_WDT: return "WDT";
+    case ESP_RST_DEEPSLEEP: return "DEEPSLEEP";
+    case ESP_RST_BROWNOUT: return "BROWNOUT";
+    case ESP_RST_SDIO: return "SDIO";
+    default: return "UNKNOWN";
+  }
+}
+
+// GPS time of the current fix as "&time=<ISO 8601>", empty until the receiver has date and time
+String gpsTimeParam() {
+  if (!gps.date.isValid() || !gps.time.isValid() || gps.date.year() < 2020) return "";
+  char buf[40];
+  snprintf(buf, sizeof(buf), "&time=%04d-%02d-%02dT%02d:%02d:%02d.%02dZ",
+           gps.date.year(), gps.date.month(), gps.date.day(),
+           gps.time.hour(), gps.time.minute(), gps.time.second(), gps.time.centisecond());
+  return String(buf);
+}
+
+// Telemetry query parameters appended to every packet
+String telemetryParams() {
+  String params = "&rssi=" + String(WiFi.RSSI()) + "&ssid=" + urlEncode(WiFi.SSID()) +
+                  "&heap=" + String(ESP.getFreeHeap()) + "&uptime=" + String(millis() / 1000) +
+                  "&resetReason=" + resetReasonName() + "&firmware=" + urlEncode(firmwareVersion);
+#if BATTERY_PIN >= 0
+  float volts = analogReadMilliVolts(BATTERY_PIN) * BATTERY_DIVIDER / 1000.0;
+  int percent = constrain(map((long)(volts * 1000), BATTERY_EMPTY_MV, BATTERY_FULL_MV, 0, 100), 0, 100);
+  params += "&voltage=" + String(volts, 2) + "&battery=" + String(percent);
+#endif
+  return params;
+}
+
 // Try to connect to one WiFi
 bool tryConnect(const char *ssid, const char *pass) {
   Serial.printf("Trying WiFi: %s\n", ssid);
@@ -174,22 +242,29 @@ void loop() {
     gps.encode(GPSserial.read());
   }
 
+  // -1 tells the server the value is unknown
+  int sats = gps.satellites.isValid() ? gps.satellites.value() : -1;
+  float hdop = gps.hdop.isValid() ? gps.hdop.hdop() : -1;
+
   if (gps.location.isValid() && gps.location.age() < 2000) {
     double lat = gps.location.lat();
     double lng = gps.location.lng();
     double speed = gps.speed.kmph();
     double alt = gps.altitude.meters();
 
-    Serial.printf("Lat: %.6f, Lng: %.6f, Speed: %.2f km/h, Alt: %.2f m\n",
-                  lat, lng, speed, alt);
+    Serial.printf("Lat: %.6f, Lng: %.6f, Speed: %.2f km/h, Alt: %.2f m, Satellites: %d, HDOP: %.2f\n",
+                  lat, lng, speed, alt, sats, hdop);
 
     if (WiFi.status() == WL_CONNECTED) {
       HTTPClient http;
-      String url = String(serverBase) + "?key=YOUR_API_KEY" + "&fix=true" + "&lat=" + String(lat, 6) + "&lng=" + String(lng, 6) + "&speed=" + String(speed, 2) + "&alt=" + String(alt, 2);
+      String url = String(serverBase) + "?fix=true" + "&lat=" + String(lat, 6) + "&lng=" + String(lng, 6) + "&speed=" + String(speed, 2) + "&alt=" + String(alt, 2) + "&sats=" + String(sats) + "&hdop=" + String(hdop, 2) + gpsTimeParam() + telemetryParams();
 
       http.begin(url);
+      http.addHeader("Authorization", String("Bearer ") + apiKey);
       int httpCode = http.GET();
-      if (httpCode > 0) {
+      if (httpCode == 422) {
+        Serial.printf("Fix filtered by server: %s\n", http.getString().c_str());
+      } else if (httpCode > 0) {
         Serial.printf("Server response: %d\n", httpCode);
       } else {
         Serial.printf("HTTP error: %s\n", http.errorToString(httpCode).c_str());
@@ -198,16 +273,14 @@ void loop() {
     }
   } else {
     // No fix: debug + notify server
-    int sats = gps.satellites.isValid() ? gps.satellites.value() : -1;
-    float hdop = gps.hdop.isValid() ? gps.hdop.hdop() : -1;
-
     Serial.printf("No fix. Satellites: %d, HDOP: %.2f\n", sats, hdop);
 
     if (WiFi.status() == WL_CONNECTED) {
       HTTPClient http;
-      String url = String(serverBase) + "?key=YOUR_API_KEY" + "&fix=false" + "&sats=" + String(sats) + "&hdop=" + String(hdop, 2);
+      String url = String(serverBase) + "?fix=false" + "&sats=" + String(sats) + "&hdop=" + String(hdop, 2) + telemetryParams();
 
       http.begin(url);
+      http.addHeader("Authorization", String("Bearer ") + apiKey);
       int httpCode = http.GET();
       if (httpCode > 0) {
         Serial.printf("Server response: %d\n", httpCode);
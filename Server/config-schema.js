@@ -0,0 +1,183 @@
+// Schema for config.json and a structural diff between two config versions
+
+const string = { type: "string" };
+const flag = { type: "boolean" };
+const strings = keys => ({ type: "object", properties: Object.fromEntries(keys.map(key => [key, string])) });
+const flags = keys => ({ type: "object", properties: Object.fromEntries(keys.map(key => [key, flag])) });
+
+/*
+ Schema nodes:
+ { type: "object", properties: { key: node }, required: [key] }
+ { type: "string", pattern: RegExp, hint: String }
+ { type: "boolean" }
+ { type: "number"|"integer", min, max, nullable }
+ { type: "array", items: node, length: Number }
+ Keys not in the schema are kept as they are, so older configs with extra fields still save.
+*/
+const CONFIG_SCHEMA = {
+    type: "object",
+    required: ["ui", "tracker", "map", "api"],
+    properties: {
+        ui: {
+            type: "object",
+            properties: {
+                title: strings(["webpage", "navbar", "tracker"]),
+                navigation: strings(["trackerLink", "adminLink"]),
+                statusBar: strings(["connectionLabel", "updateLabel", "offlineText", "onlineText", "neverText"]),
+                dataPanel: {
+                    type: "object",
+                    properties: {
+                        show: flag,
+                        labels: strings(["latitude", "longitude", "speed", "altitude"]),
+                        units: strings(["speed", "altitude"]),
+                        centerButtonText: string
+                    }
+                }
+            }
+        },
+        tracker: {
+            type: "object",
+            properties: {
+                useCustomIcon: flag,
+                customIconUrl: string,
+                customIconSize: { type: "array", length: 2, items: { type: "integer", min: 8, max: 256 } },
+                defaultIconColor: { type: "string", pattern: /^#[0-9a-fA-F]{6}$/, hint: "a #rrggbb color" },
+                animateMarker: flag,
+                rotateIcon: flag,
+                smoothing: { type: "string", pattern: /^(none|kalman)$/, hint: "none or kalman" },
+                description: string,
+                popupData: flags(["showLatitude", "showLongitude", "showSpeed", "showAltitude",
+                    "showTimestamp", "showDescription", "showNearestPOI"])
+            }
+        },
+        poi: {
+            type: "object",
+            properties: {
+                popupData: flags(["showName", "showDescription", "showCategory", "showCoordinates"])
+            }
+        },
+        map: {
+            type: "object",
+            required: ["defaultZoom", "tileLayer"],
+            properties: {
+                defaultZoom: { type: "integer", min: 1, max: 19 },
+                maxZoom: { type: "integer", min: 1, max: 22 },
+                tileLayer: { type: "string", pattern: /\{z\}.*\{x\}.*\{y\}/, hint: "a tile URL with {z}, {x} and {y}" },
+                attribution: string
+            }
+        },
+        admin: {
+            type: "object",
+            properties: {
+                title: strings(["webpage", "navbar"]),
+                configSection: strings(["title", "description"])
+            }
+        },
+        api: {
+            type: "object",
+            required: ["updateInterval"],
+            properties: {
+                updateInterval: { type: "integer", min: 500, max: 600000 },
+                apiKey: string // unused, kept for configs written by older admin panels
+            }
+        },
+        alerts: {
+            type: "object",
+            properties: {
+                speedLimit: { type: "number", min: 1, nullable: true }
+            }
+        },
+        ingest: {
+            type: "object",
+            properties: {
+                maxHdop: { type: "number", min: 1, nullable: true },
+                maxSpeed: { type: "number", min: 1, nullable: true }, // km/h implied by the jump from the last fix
+                rejectNullIsland: flag
+            }
+        }
+    }
+};
+
+function describeType(node) {
+    if (node.type === "integer" || node.type === "number") {
+        const range = typeof node.max === 'number' ? ` between ${node.min} and ${node.max}` : ` of at least ${node.min}`;
+        return `${node.type === "integer" ? "an integer" : "a number"}${typeof node.min === 'number' ? range : ''}`;
+    }
+    if (node.type === "array") return `an array of ${node.length} values`;
+    return `a ${node.type === "object" ? "JSON object" : node.type}`;
+}
+
+function checkNode(node, value, path, errors) {
+    const fail = message => errors.push({ path: path || "(root)", message });
+
+    if (value === null && node.nullable) return;
+    switch (node.type) {
+        case "object":
+            if (!value || typeof value !== 'object' || Array.isArray(value)) return fail(`must be ${describeType(node)}`);
+            for (const key of node.required || []) {
+                if (value[key] === undefined) errors.push({ path: path ? `${path}.${key}` : key, message: "is required" });
+            }
+            for (const [key, child] of Object.entries(node.properties)) {
+                if (value[key] !== undefined) checkNode(child, value[key], path ? `${path}.${key}` : key, errors);
+            }
+            return;
+        case "array":
+            if (!Array.isArray(value) || (node.length && value.length !== node.length)) return fail(`must be ${describeType(node)}`);
+            value.forEach((item, i) => checkNode(node.items, item, `${path}[${i}]`, errors));
+            return;
+        case "integer":
+        case "number":
+            if (typeof value !== 'number' || !Number.isFinite(value) ||
+                (node.type === "integer" && !Number.isInteger(value)) ||
+                (typeof node.min === 'number' && value < node.min) ||
+                (typeof node.max === 'number' && value > node.max)) {
+                return fail(`must be ${describeType(node)}${node.nullable ? " or null" : ""}`);
+            }
+            return;
+        case "string":
+            if (typeof value !== 'string') return fail("must be a string");
+            if (node.pattern && !node.pattern.test(value)) return fail(`must be ${node.hint}`);
+            return;
+        case "boolean":
+            if (typeof value !== 'boolean') return fail("must be true or false");
+            return;
+    }
+}
+
+// Returns [{ path, message }], empty when the config is valid
+function validateConfig(config) {
+    const errors = [];
+    checkNode(CONFIG_SCHEMA, config, "", errors);
+    return errors;
+}
+
+/*
+ Diff entry structure:
+ {
+     path: String,                     // "map.defaultZoom", "tracker.customIconSize[0]"
+     change: "added"|"removed"|"changed",
+     from: Any,                        // absent when added
+     to: Any                           // absent when removed
+ }
+*/
+function diffConfig(before, after, path = "", changes = []) {
+    const isObject = value => value !== null && typeof value === 'object';
+    if (isObject(before) && isObject(after) && Array.isArray(before) === Array.isArray(after)) {
+        const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+        for (const key of keys) {
+            const childPath = Array.isArray(before) ? `${path}[${key}]` : (path ? `${path}.${key}` : key);
+            if (!(key in after)) {
+                changes.push({ path: childPath, change: "removed", from: before[key] });
+            } else if (!(key in before)) {
+                changes.push({ path: childPath, change: "added", to: after[key] });
+            } else {
+                diffConfig(before[key], after[key], childPath, changes);
+            }
+        }
+    } else if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ path: path || "(root)", change: "changed", from: before, to: after });
+    }
+    return changes;
+}
+
+module.exports = { validateConfig, diffConfig };
@@ -0,0 +1,141 @@
+// Track export formatters for history points ({ timestamp, lat, lng, speed, alt, sats, hdop })
+
+const EXPORT_FORMATS = {
+    gpx: { contentType: "application/gpx+xml", extension: "gpx" },
+    kml: { contentType: "application/vnd.google-earth.kml+xml", extension: "kml" },
+    geojson: { contentType: "application/geo+json", extension: "geojson" }
+};
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+// km/h as stored by the server -> m/s as expected by GPX/KML consumers
+function kmhToMs(speed) {
+    return Math.round((speed / 3.6) * 1000) / 1000;
+}
+
+function buildGPX(points, name) {
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    xml += `<gpx version="1.1" creator="ESP32 GPS Follower"`;
+    xml += ` xmlns="http://www.topografix.com/GPX/1/1"`;
+    xml += ` xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2"`;
+    xml += ` xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"`;
+    xml += ` xsi:schemaLocation="http://www.topografix.com/GPX/1/1 http://www.topografix.com/GPX/1/1/gpx.xsd">\n`;
+    xml += `  <metadata>\n    <name>${escapeXml(name)}</name>\n`;
+    xml += `    <time>${new Date().toISOString()}</time>\n  </metadata>\n`;
+    xml += `  <trk>\n    <name>${escapeXml(name)}</name>\n    <trkseg>\n`;
+
+    for (const p of points) {
+        xml += `      <trkpt lat="${p.lat}" lon="${p.lng}">\n`;
+        // Element order is fixed by the GPX 1.1 schema: ele, time, ..., sat, hdop, ..., extensions
+        if (isNumber(p.alt)) xml += `        <ele>${p.alt}</ele>\n`;
+        xml += `        <time>${p.timestamp}</time>\n`;
+        if (isNumber(p.sats)) xml += `        <sat>${p.sats}</sat>\n`;
+        if (isNumber(p.hdop)) xml += `        <hdop>${p.hdop}</hdop>\n`;
+        if (isNumber(p.speed)) {
+            xml += `        <extensions>\n          <gpxtpx:TrackPointExtension>\n`;
+            xml += `            <gpxtpx:speed>${kmhToMs(p.speed)}</gpxtpx:speed>\n`;
+            xml += `          </gpxtpx:TrackPointExtension>\n        </extensions>\n`;
+        }
+        xml += `      </trkpt>\n`;
+    }
+
+    xml += `    </trkseg>\n  </trk>\n</gpx>\n`;
+    return xml;
+}
+
+function buildKML(points, name) {
+    const fields = [
+        { name: "speed", type: "float", displayName: "Speed (km/h)", value: p => p.speed },
+        { name: "sats", type: "int", displayName: "Satellites", value: p => p.sats },
+        { name: "hdop", type: "float", displayName: "HDOP", value: p => p.hdop }
+    ];
+
+    let xml = `<?xml version="1.0" encoding="UTF-8"?>\n`;
+    xml += `<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">\n`;
+    xml += `  <Document>\n    <name>${escapeXml(name)}</name>\n`;
+    xml += `    <Schema id="trackerSchema">\n`;
+    for (const field of fields) {
+        xml += `      <gx:SimpleArrayField name="${field.name}" type="${field.type}">\n`;
+        xml += `        <displayName>${escapeXml(field.displayName)}</displayName>\n`;
+        xml += `      </gx:SimpleArrayField>\n`;
+    }
+    xml += `    </Schema>\n`;
+    xml += `    <Placemark>\n      <name>${escapeXml(name)}</name>\n`;
+    xml += `      <gx:Track>\n        <altitudeMode>absolute</altitudeMode>\n`;
+
+    for (const p of points) {
+        xml += `        <when>${p.timestamp}</when>\n`;
+    }
+    for (const p of points) {
+        xml += `        <gx:coord>${p.lng} ${p.lat} ${isNumber(p.alt) ? p.alt : 0}</gx:coord>\n`;
+    }
+
+    // KML requires one <gx:value> per <when>, so missing values are left empty
+    xml += `        <ExtendedData>\n          <SchemaData schemaUrl="#trackerSchema">\n`;
+    for (const field of fields) {
+        xml += `            <gx:SimpleArrayData name="${field.name}">\n`;
+        for (const p of points) {
+            const value = field.value(p);
+            xml += `              <gx:value>${isNumber(value) ? value : ''}</gx:value>\n`;
+        }
+        xml += `            </gx:SimpleArrayData>\n`;
+    }
+    xml += `          </SchemaData>\n        </ExtendedData>\n`;
+    xml += `      </gx:Track>\n    </Placemark>\n  </Document>\n</kml>\n`;
+    return xml;
+}
+
+function buildGeoJSON(points, name) {
+    const coordinates = points.map(p => isNumber(p.alt) ? [p.lng, p.lat, p.alt] : [p.lng, p.lat]);
+
+    const line = {
+        type: "Feature",
+        geometry: { type: "LineString", coordinates },
+        properties: {
+            name,
+            // Per-vertex values, index-aligned with the coordinates
+            coordTimes: points.map(p => p.timestamp),
+            speeds: points.map(p => p.speed ?? null),
+            sats: points.map(p => p.sats ?? null),
+            hdops: points.map(p => p.hdop ?? null)
+        }
+    };
+
+    const fixes = points.map((p, i) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: coordinates[i] },
+        properties: {
+            timestamp: p.timestamp,
+            speed: p.speed ?? null,
+            alt: p.alt ?? null,
+            sats: p.sats ?? null,
+            hdop: p.hdop ?? null
+        }
+    }));
+
+    // A LineString needs at least two positions (RFC 7946), so a lone fix is only a Point
+    const features = points.length >= 2 ? [line, ...fixes] : fixes;
+    return JSON.stringify({ type: "FeatureCollection", features }, null, 2);
+}
+
+function buildExport(format, points, name) {
+    switch (format) {
+        case 'gpx': return buildGPX(points, name);
+        case 'kml': return buildKML(points, name);
+        case 'geojson': return buildGeoJSON(points, name);
+        default: return null;
+    }
+}
+
+module.exports = { EXPORT_FORMATS, buildExport };
@@ -0,0 +1,40 @@
+// Small geodesy helpers shared by the server and CLI tools
+
+const EARTH_RADIUS_M = 6371000;
+
+function toRad(degrees) {
+    return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters between two { lat, lng } points
+function haversineMeters(a, b) {
+    const dLat = toRad(b.lat - a.lat);
+    const dLng = toRad(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_M * Math.asin(Math.sqrt(h));
+}
+
+// Initial bearing in degrees (0 = north, clockwise) from a to b
+function bearingDegrees(a, b) {
+    const dLng = toRad(b.lng - a.lng);
+    const y = Math.sin(dLng) * Math.cos(toRad(b.lat));
+    const x = Math.cos(toRad(a.lat)) * Math.sin(toRad(b.lat)) -
+        Math.sin(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.cos(dLng);
+    return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Ray casting on raw lat/lng; fine for fences a few km across
+function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        const crosses = (latI > point.lat) !== (latJ > point.lat) &&
+            point.lng < (lngJ - lngI) * (point.lat - latI) / (latJ - latI) + lngI;
+        if (crosses) inside = !inside;
+    }
+    return inside;
+}
+
+module.exports = { haversineMeters, bearingDegrees, pointInPolygon };
@@ -1,14 +1,21 @@
 const express = require("express");
-const fs = require("fs");
+const crypto = require("crypto");
 const dotenv = require("dotenv");
 const bodyParser = require("body-parser");
 const path = require("path");
+const { EXPORT_FORMATS, buildExport } = require("./export");
+const { haversineMeters, bearingDegrees, pointInPolygon } = require("./geo");
+const { WEBHOOK_EVENTS, dispatchWebhookEvent, pendingWebhookCount } = require("./webhooks");
+const { segmentTrips } = require("./trips");
+const { validateConfig, diffConfig } = require("./config-schema");
+const { parseNMEA } = require("./nmea");
+const { createStorage } = require("./storage");
 
 dotenv.config();
 const app = express();
 const PORT = 4000;
 
-app.use(bodyParser.json());
+app.use(bodyParser.json({ limit: "1mb" })); // room for /receivedata/batch uploads
 
 app.use(express.static(path.join(__dirname, 'public')));
 
@@ -20,170 +27,2312 @@ app.get('/', (req, res) => {
     res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
-const WIFI_FILE = "./wifi.json";
-const GPS_DATA_FILE = "./latest-gps.json";
-const POI_FILE = "./poi.json";
-const CONFIG_FILE = "./config.json";
+// JSON files in the working directory (default) or SQLite, see storage.js (override in .env).
+// Device states, event logs and history are written behind every WRITE_INTERVAL_MS and on shutdown.
+const storage = createStorage({
+    backend: process.env.STORAGE_BACKEND || "json",
+    dir: ".",
+    sqliteFile: process.env.SQLITE_FILE || "./tracker.db",
+    writeInterval: parseInt(process.env.WRITE_INTERVAL_MS) >= 0 ? parseInt(process.env.WRITE_INTERVAL_MS) : 5000
+});
+
+const CONFIG_HISTORY_MAX = 50; // saved versions kept, oldest dropped first
+const GEOFENCE_EVENTS_LOG = "geofence-events";
+const POI_EVENTS_LOG = "poi-events";
+const SPEED_VIOLATIONS_LOG = "speed-violations";
+const REJECTED_FIXES_LOG = "rejected-fixes";
+const EVENT_LOG_MAX = 1000; // events kept per event log
+const KEY_SCOPES = ["ingest", "wifi", "view", "admin"]; // admin implies the others
+// Optional state fields a share link can withhold; position and timestamps are always included
+const SHARE_FIELDS = ["speed", "alt", "course", "sats", "hdop", "pdop", "vdop", "fixType", "satellites",
+    "accuracy", "telemetry", "nearestPOI", "atPOIs", "insideGeofences", "overspeed"];
+// Receiver quality details only NMEA ingest provides; kept until the next packet that carries them
+const QUALITY_FIELDS = ["pdop", "vdop", "fixType", "satellites"];
+const SHARE_STREAM_EVENTS = ["gps", "devices", "geofences", "pois"]; // what share viewers receive live
+const STREAM_TOKEN_TTL_MS = 60 * 1000; // stream tokens are single-use and short-lived, unlike the key in a URL
+
+// Seconds without any packet before a device counts as offline (override in .env)
+const OFFLINE_AFTER_SECONDS = parseInt(process.env.OFFLINE_AFTER_SECONDS) || 300;
+
+// History retention (override in .env)
+const HISTORY_RETENTION_DAYS = parseFloat(process.env.HISTORY_RETENTION_DAYS) || 30;
+const HISTORY_MAX_POINTS = parseInt(process.env.HISTORY_MAX_POINTS) || 500000;
+const HISTORY_DEFAULT_LIMIT = 1000;
+const HISTORY_MAX_LIMIT = 10000;
+
+// Batch ingest of fixes buffered on the device while it was offline
+const BATCH_MAX_POINTS = 1000;
+const BATCH_MAX_CLOCK_SKEW_MS = 5 * 60 * 1000; // device timestamps further ahead than this are rejected
+
+// Device telemetry: history samples kept per device, and the thresholds for warnings
+const TELEMETRY_SAMPLE_SECONDS = 60; // at most one history sample per minute, plus one per reboot
+const TELEMETRY_HISTORY_MAX = 1440;  // about a day at one sample per minute
+const TELEMETRY_LOW_BATTERY = 20;    // percent
+const TELEMETRY_LOW_VOLTAGE = 3.4;   // volts, a single LiPo cell near empty
+const TELEMETRY_WEAK_RSSI = -80;     // dBm
+const TELEMETRY_LOW_HEAP = 20000;    // bytes; less usually means a leak on the way to a crash
+// ESP-IDF reset reasons that mean the previous run did not end on purpose
+const CRASH_RESET_REASONS = ["PANIC", "INT_WDT", "TASK_WDT", "WDT", "BROWNOUT"];
+
+// Fix quality filter; config.json "ingest" overrides each setting, null disables a check
+const INGEST_FILTER_DEFAULTS = { maxHdop: 20, maxSpeed: 500, rejectNullIsland: true };
+const JUMP_TOLERANCE_METERS = 100; // jitter between fixes moments apart is never an impossible speed
+const JUMP_LOOKBACK_MS = 24 * 60 * 60 * 1000; // older fixes are no reference for the speed check
+// Physical ranges for reported values; anything outside is a firmware or parsing error
+const MEASUREMENT_RANGES = {
+    speed: { min: 0, max: 2000 },   // km/h
+    alt: { min: -1000, max: 50000 }, // meters
+    sats: { min: 0, max: 255, integer: true },
+    hdop: { min: 0, max: 100 }
+};
+
+// Trip detection (override in .env)
+const TRIP_STOP_SECONDS = parseInt(process.env.TRIP_STOP_SECONDS) || 300; // stop length that ends a trip
+const TRIP_STOP_SPEED = parseFloat(process.env.TRIP_STOP_SPEED) || 3; // km/h, slower counts as stopped
+const TRIP_MIN_DISTANCE = parseFloat(process.env.TRIP_MIN_DISTANCE) || 200; // meters, shorter trips are GPS drift
+const TRIP_PLACE_RADIUS = 250; // meters to label a trip start/end with a POI
+
+let deviceStates = null; // { [deviceId]: latest state }, persisted in the "latest-gps" store
+const streamClients = new Set(); // open /api/stream responses; res.locals holds the viewer's share, key id and privacy
+const streamTokens = new Map(); // token -> { key, expiresAt } from POST /api/stream/token, in memory only
+const ingestStats = { since: new Date().toISOString(), rejected: 0, byReason: {}, byDevice: {} }; // since startup
+
+const DEFAULT_DEVICE_ID = "default"; // used when a packet carries no device parameter
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+const DEVICE_COLORS = ["#356ac3", "#e4572e", "#2ca58d", "#f2a541", "#9b5de5", "#00a6ed", "#d81159", "#6a994e"];
+
+/*
+ Per-device state structure (latest-gps.json holds { [deviceId]: state }):
+ {
+     device: String,         // device identifier
+     lat: Number,
+     lng: Number,
+     speed: Number,
+     alt: Number,
+     fix: Boolean,           // whether the latest packet had a GPS fix
+     sats: Number|null,      // satellites from latest packet if no fix (or with fix if provided)
+     hdop: Number|null,      // hdop from latest packet if provided
+     lastSatsTimestamp, lastHdopTimestamp: ISOString|null, // packet that last reported them; older
+                             // than lastPacketTimestamp means the latest packet carried none
+     course: Number|null,    // degrees true with the last fix, NMEA ingest only
+     pdop, vdop: Number|null, // NMEA ingest only
+     fixType: "none"|"2D"|"3D"|"DGPS"|null, // NMEA ingest only
+     satellites: [{ system, prn, elevation, azimuth, snr }]|null, // satellites in view, NMEA ingest only
+     accuracy: Number|null,  // meters with the last fix, phone apps (OsmAnd/Traccar, OwnTracks) only
+     telemetry: Object|null, // device health as last reported, see telemetry structure below
+     lastPacketTimestamp: ISOString, // when any packet (fix or no-fix) was received
+     lastFixTimestamp: ISOString|null, // when last valid fix was received
+     timestamp: ISOString,   // kept for backwards compat (same as lastFixTimestamp when fix=true else still previous fix time)
+     insideGeofences: Number[], // ids of the geofences containing the last fix
+     nearestPOI: { id, title, icon, distance, bearing }|null, // distance in m, bearing in degrees
+     atPOIs: Number[],       // ids of the POIs whose arrivalRadius contains the last fix
+     overspeed: { start, peakSpeed, limit, zoneId, zoneName, lat, lng }|null, // ongoing speed violation
+     offline: Boolean        // set once no packet arrived for OFFLINE_AFTER_SECONDS
+ }
+
+ Telemetry structure (state.telemetry, and the samples in telemetry.json { [deviceId]: [...] }).
+ Every field is optional in a packet; absent ones keep their last reported value.
+ {
+     timestamp: ISOString,     // when any of it was last reported
+     battery: Number|null,     // percent (ESP32 with a fuel gauge, phone apps)
+     voltage: Number|null,     // battery volts
+     rssi: Number|null,        // WiFi signal, dBm
+     ssid: String|null,        // WiFi network the device is connected to
+     heap: Number|null,        // free heap, bytes
+     uptime: Number|null,      // seconds since boot
+     resetReason: String|null, // why the device last booted (ESP-IDF names: POWERON, SW, PANIC, BROWNOUT, ...)
+     firmware: String|null     // firmware version
+ }
+
+ Device registry structure (devices.json holds { [deviceId]: info }):
+ {
+     name: String,   // display name
+     color: String,  // #RRGGBB marker color
+     icon: String    // unicode or short text shown in the marker
+ }
+*/
+
+function loadPOIData() {
+    return storage.load("poi", []);
+}
+
+function savePOIData(pois) {
+    return storage.save("poi", pois);
+}
+
+function loadDeviceRegistry() {
+    return storage.load("devices", {});
+}
+
+function saveDeviceRegistry(registry) {
+    return storage.save("devices", registry);
+}
+
+// Registers a device on its first packet, picking the next unused palette color
+function ensureDeviceRegistered(deviceId) {
+    const registry = loadDeviceRegistry();
+    if (registry[deviceId]) return registry[deviceId];
+
+    const used = Object.values(registry).map(d => d.color);
+    const color = DEVICE_COLORS.find(c => !used.includes(c)) ||
+        DEVICE_COLORS[Object.keys(registry).length % DEVICE_COLORS.length];
+    registry[deviceId] = {
+        name: deviceId === DEFAULT_DEVICE_ID ? "GPS Tracker" : deviceId,
+        color,
+        icon: ""
+    };
+    saveDeviceRegistry(registry);
+    console.log(`Registered new device: ${deviceId}`);
+    return registry[deviceId];
+}
+
+function createDeviceState(deviceId, now) {
+    return {
+        device: deviceId,
+        lat: null,
+        lng: null,
+        speed: null,
+        alt: null,
+        fix: false,
+        sats: null,
+        hdop: null,
+        lastSatsTimestamp: null,
+        lastHdopTimestamp: null,
+        lastPacketTimestamp: now,
+        lastFixTimestamp: null,
+        timestamp: null
+    };
+}
+
+// packet.timestamp (ISO) is the device-side fix time; packets without one use the arrival time.
+// Set recordHistory to false when the caller writes the history itself.
+function saveLatestGPS(packet, recordHistory = true) {
+    const now = new Date().toISOString();
+    const fixTime = packet.timestamp || now;
+    const deviceId = packet.device || DEFAULT_DEVICE_ID;
+    const states = loadDeviceStates();
+
+    // Initialize state on the first packet from this device
+    const isNewDevice = !states[deviceId];
+    if (isNewDevice) {
+        ensureDeviceRegistered(deviceId);
+        states[deviceId] = createDeviceState(deviceId, now);
+    }
+    const state = states[deviceId];
+    const previous = {
+        fix: state.fix,
+        offline: !!state.offline,
+        lastPacketTimestamp: state.lastPacketTimestamp
+    };
+
+    const { fix, lat, lng, speed, alt, sats, hdop } = packet;
+
+    state.lastPacketTimestamp = now;
+    state.fix = !!fix;
+    if (typeof sats !== 'undefined') {
+        state.sats = sats;
+        state.lastSatsTimestamp = now;
+    }
+    if (typeof hdop !== 'undefined') {
+        state.hdop = hdop;
+        state.lastHdopTimestamp = now;
+    }
+    if (packet.telemetry) recordTelemetry(state, packet.telemetry, now);
+    for (const field of QUALITY_FIELDS) {
+        if (typeof packet[field] !== 'undefined') state[field] = packet[field];
+    }
+
+    if (fix) {
+        // Update positional data only on a valid fix
+        state.lat = lat;
+        state.lng = lng;
+        state.speed = speed;
+        state.alt = alt;
+        state.course = typeof packet.course === 'number' ? packet.course : null;
+        state.accuracy = typeof packet.accuracy === 'number' ? packet.accuracy : null;
+        state.lastFixTimestamp = fixTime;
+        state.timestamp = fixTime; // maintain previous field for compatibility
+        checkGeofences(state, fixTime);
+        checkPOIProximity(state, fixTime);
+        checkOverspeed(state, fixTime);
+    }
+
+    saveDeviceStates(states);
+
+    // Webhook events from the state transitions of this packet
+    if (isNewDevice || !isSameLocalDay(previous.lastPacketTimestamp, now)) {
+        emitDeviceEvent('device.first_packet_today', state);
+    }
+    if (previous.offline) {
+        state.offline = false;
+        emitDeviceEvent('device.online', state);
+    }
+    if (!isNewDevice && previous.fix && !state.fix) {
+        emitDeviceEvent('fix.lost', state);
+    } else if (!isNewDevice && !previous.fix && state.fix) {
+        emitDeviceEvent('fix.acquired', state);
+    }
+
+    broadcastEvent('gps', state);
+
+    if (!recordHistory) return;
+    // Usually an append; a batch with device clocks slightly ahead can leave newer points behind
+    insertHistory([{
+        timestamp: fixTime,
+        device: deviceId,
+        fix: !!fix,
+        lat: fix ? lat : null,
+        lng: fix ? lng : null,
+        speed: fix ? speed : null,
+        alt: fix ? alt : null,
+        sats: typeof sats !== 'undefined' ? sats : null,
+        hdop: typeof hdop !== 'undefined' ? hdop : null
+    }]);
+}
+
+function isSameLocalDay(a, b) {
+    return new Date(a).toDateString() === new Date(b).toDateString();
+}
+
+function loadTelemetryHistory() {
+    return storage.load("telemetry", {});
+}
+
+// Merges reported telemetry into the state and samples it into the device's short history
+function recordTelemetry(state, reported, now) {
+    const previous = state.telemetry || {};
+    const telemetry = { ...previous, ...reported, timestamp: now };
+    state.telemetry = telemetry;
+
+    const all = loadTelemetryHistory();
+    const samples = all[state.device] || [];
+    const last = samples[samples.length - 1];
+    // A reboot shows as uptime going backwards; keep that sample even within the minute
+    const rebooted = typeof reported.uptime === 'number' && typeof previous.uptime === 'number' &&
+        reported.uptime < previous.uptime;
+    if (last && !rebooted && new Date(now) - new Date(last.timestamp) < TELEMETRY_SAMPLE_SECONDS * 1000) return;
+
+    samples.push(telemetry);
+    all[state.device] = samples.slice(-TELEMETRY_HISTORY_MAX);
+    storage.saveLater("telemetry", all);
+}
+
+// Returns [{ type, message }] for the problems a device state shows
+function telemetryWarnings(state) {
+    const warnings = [];
+    if (state.offline) {
+        warnings.push({ type: "offline", message: `No packet since ${state.lastPacketTimestamp}` });
+    }
+    const telemetry = state.telemetry;
+    if (!telemetry) return warnings;
+
+    if (typeof telemetry.battery === 'number' && telemetry.battery < TELEMETRY_LOW_BATTERY) {
+        warnings.push({ type: "battery", message: `Battery at ${telemetry.battery}%` });
+    } else if (typeof telemetry.voltage === 'number' && telemetry.voltage < TELEMETRY_LOW_VOLTAGE) {
+        warnings.push({ type: "battery", message: `Battery at ${telemetry.voltage} V` });
+    }
+    if (typeof telemetry.rssi === 'number' && telemetry.rssi < TELEMETRY_WEAK_RSSI) {
+        warnings.push({ type: "signal", message: `Weak WiFi signal (${telemetry.rssi} dBm${telemetry.ssid ? ` on ${telemetry.ssid}` : ''})` });
+    }
+    if (typeof telemetry.heap === 'number' && telemetry.heap < TELEMETRY_LOW_HEAP) {
+        warnings.push({ type: "heap", message: `Low free heap (${telemetry.heap} bytes)` });
+    }
+    if (CRASH_RESET_REASONS.includes(telemetry.resetReason)) {
+        warnings.push({ type: "reset", message: `Last boot after ${telemetry.resetReason}` });
+    }
+    return warnings;
+}
+
+/*
+ Webhook structure (webhooks.json holds an array):
+ {
+     id: Number,
+     url: String,            // http(s) endpoint receiving POSTed JSON
+     secret: String,         // optional; signs the body as X-Tracker-Signature: sha256=<hex HMAC>
+     events: String[],       // subscribed events, empty = all
+     enabled: Boolean
+ }
+*/
+
+function loadWebhooks() {
+    return storage.load("webhooks", []);
+}
+
+function saveWebhooks(hooks) {
+    return storage.save("webhooks", hooks);
+}
+
+function emitDeviceEvent(event, state) {
+    const hooks = loadWebhooks();
+    if (hooks.length === 0) return;
+
+    const info = loadDeviceRegistry()[state.device] || {};
+    console.log(`Webhook event ${event} for ${state.device}`);
+    dispatchWebhookEvent(hooks, event, {
+        device: state.device,
+        deviceName: info.name || state.device,
+        state: { ...state }
+    });
+}
+
+// Marks devices offline once they stop reporting; the next packet brings them back online
+function checkOfflineDevices() {
+    const states = loadDeviceStates();
+    const cutoff = Date.now() - OFFLINE_AFTER_SECONDS * 1000;
+    let changed = false;
+
+    for (const state of Object.values(states)) {
+        if (state.offline || new Date(state.lastPacketTimestamp).getTime() >= cutoff) continue;
+        state.offline = true;
+        changed = true;
+        emitDeviceEvent('device.offline', state);
+    }
+
+    if (changed) {
+        saveDeviceStates(states);
+    }
+}
+
+// Push an event to every connected /api/stream viewer
+function broadcastEvent(event, data) {
+    const payload = `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+    let zones = null; // loaded once, only if a viewer needs them
+    for (const client of streamClients) {
+        const { share, privacy } = client.locals;
+        if (!streamClientActive(client)) continue;
+        if (!share && !privacy) {
+            client.write(payload);
+            continue;
+        }
+        if (share && !SHARE_STREAM_EVENTS.includes(event)) continue;
+
+        // Share viewers get device states trimmed to what the link allows
+        let filtered = event === 'gps' ? shareState(data, share) : data;
+        if (filtered && privacy) {
+            zones = zones || loadPrivacyZones();
+            filtered = event === 'gps' ? applyPrivacy(filtered, zones) : filterPrivateEvent(filtered, zones);
+        }
+        if (filtered) client.write(`event: ${event}\ndata: ${JSON.stringify(filtered)}\n\n`);
+    }
+}
+
+// Whether the share link or API key a stream was opened with still grants access.
+// keyId null is API_KEY from .env, which lasts as long as the process.
+function streamClientActive(client) {
+    const { share, keyId } = client.locals;
+    if (share) return isKeyActive(share);
+    if (keyId === null) return true;
+    const entry = loadApiKeys().find(k => k.id === keyId);
+    return !!entry && isKeyActive(entry);
+}
+
+function closeStream(client) {
+    client.write('event: revoked\ndata: {}\n\n');
+    client.end();
+    streamClients.delete(client);
+}
+
+// Ends the streams of a revoked or expired share link
+function closeShareStreams(shareId) {
+    for (const client of streamClients) {
+        if (client.locals.share?.id === shareId) closeStream(client);
+    }
+}
+
+// Ends the streams opened with a revoked or rotated API key
+function closeKeyStreams(keyId) {
+    for (const client of streamClients) {
+        if (!client.locals.share && client.locals.keyId === keyId) closeStream(client);
+    }
+}
+
+/*
+ History point structure (a line in gps-history.jsonl, or a history row in SQLite):
+ {
+     timestamp: ISOString,   // when the packet was received, or the device-side time of batch/NMEA points
+     device: String,         // missing on points recorded before multi-device support (= default)
+     fix: Boolean,
+     lat, lng, speed, alt: Number|null, // null for no-fix packets
+     sats, hdop: Number|null,
+     course, pdop, vdop, fixType, // only on points from NMEA ingest
+     accuracy                // only on points from phone apps; course too
+ }
+*/
+
+// Points of one device (null = all) with from <= time <= to (epoch ms, null = open), oldest first
+function queryHistory(from, to, deviceId = null) {
+    return storage.queryHistory(from, to, deviceId);
+}
+
+// Points may arrive out of order; storage keeps them sorted by timestamp
+function insertHistory(points) {
+    if (points.length > 0) storage.addHistory(points);
+}
+
+// Whether a point of this device at exactly this time is already stored
+function hasHistoryPoint(deviceId, time) {
+    return queryHistory(time, time, deviceId).length > 0;
+}
+
+// Drop points older than the retention window or beyond the max count
+function pruneHistory() {
+    const cutoff = Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+    const removed = storage.pruneHistory(cutoff, HISTORY_MAX_POINTS);
+    if (removed > 0) console.log(`Pruned ${removed} GPS history points`);
+}
+
+// Evenly thin a list of points down to `limit`, always keeping first and last
+function downsamplePoints(points, limit) {
+    if (points.length <= limit) return points;
+    if (limit <= 1) return points.slice(-1);
+    const step = (points.length - 1) / (limit - 1);
+    const result = [];
+    for (let i = 0; i < limit; i++) {
+        result.push(points[Math.round(i * step)]);
+    }
+    return result;
+}
+
+// Accepts ISO strings or epoch milliseconds; returns null when absent, NaN when invalid
+function parseTimeParam(value) {
+    if (typeof value === 'undefined' || value === '') return null;
+    if (typeof value !== 'string') return NaN;
+    const time = /^\d+$/.test(value) ? parseInt(value) : new Date(value).getTime();
+    // Epochs beyond the range of Date would make toISOString() throw later
+    return Number.isNaN(new Date(time).getTime()) ? NaN : time;
+}
+
+function loadDeviceStates() {
+    if (deviceStates) return deviceStates;
+    deviceStates = {};
+    const raw = storage.load("latest-gps", null);
+    if (raw && ('lat' in raw || 'timestamp' in raw)) {
+        // Single-tracker file from before multi-device support
+        deviceStates[DEFAULT_DEVICE_ID] = migrateLegacyState(raw);
+    } else if (raw) {
+        deviceStates = raw;
+    }
+    for (const state of Object.values(deviceStates)) {
+        // Phone-app battery levels used to be a top-level field
+        if (typeof state.battery !== 'undefined') {
+            if (state.battery !== null) state.telemetry = { timestamp: state.lastPacketTimestamp, battery: state.battery, ...state.telemetry };
+            delete state.battery;
+        }
+    }
+    Object.keys(deviceStates).forEach(ensureDeviceRegistered);
+    return deviceStates;
+}
+
+// Queued rather than written: this runs for every packet
+function saveDeviceStates(states) {
+    storage.saveLater("latest-gps", states);
+}
+
+function migrateLegacyState(raw) {
+    // Detect oldest format (no fix field)
+    if (typeof raw.fix === 'undefined') {
+        return {
+            device: DEFAULT_DEVICE_ID,
+            lat: raw.lat ?? null,
+            lng: raw.lng ?? null,
+            speed: raw.speed ?? null,
+            alt: raw.alt ?? null,
+            fix: true, // assume it was a fix snapshot
+            sats: null,
+            hdop: null,
+            lastPacketTimestamp: raw.timestamp || new Date().toISOString(),
+            lastFixTimestamp: raw.timestamp || null,
+            timestamp: raw.timestamp || null
+        };
+    }
+    return { device: DEFAULT_DEVICE_ID, ...raw };
+}
+
+// Latest state of one device, or of the device that reported most recently
+function loadLatestGPS(deviceId = null) {
+    const states = loadDeviceStates();
+    if (deviceId !== null) return states[deviceId] || null;
+
+    let latest = null;
+    for (const state of Object.values(states)) {
+        if (!latest || state.lastPacketTimestamp > latest.lastPacketTimestamp) {
+            latest = state;
+        }
+    }
+    return latest;
+}
+
+function getDeviceSummary(deviceId, registry) {
+    const info = registry[deviceId] || {};
+    return {
+        id: deviceId,
+        name: info.name || deviceId,
+        color: info.color || DEVICE_COLORS[0],
+        icon: info.icon || "",
+        latest: loadLatestGPS(deviceId)
+    };
+}
+
+function loadWifiList() {
+    return storage.load("wifi", []);
+}
+
+function saveWifiList(list) {
+    return storage.save("wifi", list);
+}
+
+/*
+ API key structure (keys.json holds an array; the key itself is never stored):
+ {
+     id: Number,
+     name: String,
+     prefix: String,         // first characters of the key, to recognise it
+     hash: String,           // sha256 hex of the key
+     scopes: String[],       // subset of KEY_SCOPES
+     createdAt: ISOString,
+     rotatedAt: ISOString|null,
+     expiresAt: ISOString|null,
+     revokedAt: ISOString|null,
+     lastUsedAt: ISOString|null // refreshed at most once a minute
+ }
+ API_KEY from .env keeps working as an admin key that cannot be revoked here.
+*/
+
+function loadApiKeys() {
+    return storage.load("keys", []);
+}
+
+function saveApiKeys(keys) {
+    return storage.save("keys", keys);
+}
+
+function hashApiKey(key) {
+    return crypto.createHash("sha256").update(key).digest("hex");
+}
+
+function generateApiKey() {
+    return "trk_" + crypto.randomBytes(20).toString("hex");
+}
+
+function isKeyActive(entry, now = Date.now()) {
+    return !entry.revokedAt && (!entry.expiresAt || new Date(entry.expiresAt).getTime() > now);
+}
+
+// Prefers "Authorization: Bearer <key>"; ?key= is still accepted for existing firmware
+function getRequestKey(req) {
+    const header = req.get('Authorization');
+    if (header) {
+        const match = header.match(/^Bearer\s+(\S+)$/i);
+        if (match) return match[1];
+        // Phone apps like OwnTracks only do Basic auth: any user name, the key as password
+        const basic = header.match(/^Basic\s+(\S+)$/i);
+        if (!basic) return null;
+        const credentials = Buffer.from(basic[1], 'base64').toString('utf8');
+        return credentials.includes(':') ? credentials.slice(credentials.indexOf(':') + 1) || null : null;
+    }
+    return typeof req.query.key === 'string' ? req.query.key : null;
+}
+
+// Returns { id, name, scopes } for a valid key, or null
+function authenticateApiKey(key) {
+    if (!key) return null;
+    const hash = hashApiKey(key);
+
+    if (process.env.API_KEY &&
+        crypto.timingSafeEqual(Buffer.from(hash, "hex"), Buffer.from(hashApiKey(process.env.API_KEY), "hex"))) {
+        return { id: null, name: "API_KEY (.env)", scopes: ["admin"] };
+    }
+
+    const keys = loadApiKeys();
+    const entry = keys.find(k => k.hash === hash);
+    if (!entry || !isKeyActive(entry)) return null;
+
+    const now = Date.now();
+    if (!entry.lastUsedAt || now - new Date(entry.lastUsedAt).getTime() > 60000) {
+        entry.lastUsedAt = new Date(now).toISOString();
+        saveApiKeys(keys);
+    }
+    return { id: entry.id, name: entry.name, scopes: entry.scopes };
+}
+
+// Middleware factory: the request needs a valid key with `scope` (or admin)
+function requireScope(scope) {
+    return (req, res, next) => {
+        const key = authenticateApiKey(getRequestKey(req));
+        if (!key) {
+            return res.status(401).json({ error: "Missing, invalid, expired or revoked API key" });
+        }
+        if (!key.scopes.includes(scope) && !key.scopes.includes("admin")) {
+            return res.status(403).json({ error: `API key "${key.name}" lacks the ${scope} scope` });
+        }
+        req.apiKey = key;
+        next();
+    };
+}
+
+/*
+ Share link structure (shares.json holds an array; the token is only stored hashed):
+ {
+     id: Number,
+     name: String,
+     prefix: String,         // first characters of the token
+     hash: String,           // sha256 hex of the token
+     devices: String[]|null, // devices the link shows, null = all
+     fields: String[]|null,  // SHARE_FIELDS the link exposes, null = all
+     windowFrom: ISOString|null, // only fixes inside the window are shown
+     windowTo: ISOString|null,
+     createdAt: ISOString,
+     expiresAt: ISOString|null,
+     revokedAt: ISOString|null
+ }
+*/
+
+function loadShares() {
+    return storage.load("shares", []);
+}
+
+function saveShares(shares) {
+    return storage.save("shares", shares);
+}
+
+function findShare(token) {
+    if (!token) return null;
+    const hash = hashApiKey(token);
+    const share = loadShares().find(s => s.hash === hash);
+    return share && isKeyActive(share) ? share : null;
+}
+
+// Live-view access: a key with the view scope or, where allowShare is set, an active ?share= token
+function requireViewer(allowShare) {
+    const checkViewKey = requireScope("view");
+    return (req, res, next) => {
+        if (allowShare && typeof req.query.share === 'string') {
+            req.share = findShare(req.query.share);
+            if (!req.share) {
+                return res.status(401).json({ error: "This share link is invalid, expired or revoked" });
+            }
+            return next();
+        }
+        checkViewKey(req, res, next);
+    };
+}
+
+// A device state as a share link may see it, or null when the device is not shared
+function shareState(state, share) {
+    if (!share || !state) return state;
+    if (share.devices && !share.devices.includes(state.device)) return null;
+
+    const fixTime = state.lastFixTimestamp ? new Date(state.lastFixTimestamp).getTime() : null;
+    const inWindow = fixTime !== null &&
+        (!share.windowFrom || fixTime >= new Date(share.windowFrom).getTime()) &&
+        (!share.windowTo || fixTime <= new Date(share.windowTo).getTime());
+    if (!inWindow) {
+        return {
+            device: state.device,
+            lat: null,
+            lng: null,
+            fix: false,
+            lastPacketTimestamp: state.lastPacketTimestamp,
+            lastFixTimestamp: null,
+            timestamp: null
+        };
+    }
+
+    const result = {};
+    for (const [field, value] of Object.entries(state)) {
+        if (share.fields && SHARE_FIELDS.includes(field) && !share.fields.includes(field)) continue;
+        result[field] = value;
+    }
+    return result;
+}
+
+/*
+ Privacy zone structure (privacy-zones.json holds an array; admin-only, never served to viewers):
+ {
+     id: Number,
+     name: String,
+     center: { lat, lng },
+     radius: Number,         // meters
+     mode: "hide"|"snap"     // drop the position, or report the zone center instead
+ }
+*/
+
+function loadPrivacyZones() {
+    return storage.load("privacy-zones", []);
+}
+
+function savePrivacyZones(zones) {
+    return storage.save("privacy-zones", zones);
+}
+
+// Admins see true positions; share links and view-only keys get privacy zones applied
+function viewerPrivacyZones(req) {
+    return req.apiKey?.scopes.includes("admin") ? [] : loadPrivacyZones();
+}
+
+function findPrivacyZone(point, zones) {
+    if (typeof point?.lat !== 'number' || typeof point?.lng !== 'number') return null;
+    return zones.find(zone => haversineMeters(zone.center, point) <= zone.radius) || null;
+}
+
+// A position record (device state, history point, trip place) as a viewer may see it.
+// Inside a zone the position is dropped or snapped to the center and every optional field
+// that could pinpoint it (speed, altitude, nearest POI, ...) is cleared.
+function applyPrivacy(record, zones) {
+    const zone = findPrivacyZone(record, zones);
+    if (!zone) return record;
+
+    const result = { ...record };
+    for (const field of SHARE_FIELDS) {
+        if (field in result) result[field] = null;
+    }
+    if (zone.mode === 'snap') {
+        result.lat = zone.center.lat;
+        result.lng = zone.center.lng;
+        result.private = 'snapped';
+    } else {
+        result.lat = null;
+        result.lng = null;
+        result.private = 'hidden';
+    }
+    return result;
+}
+
+// Events (geofence, POI, overspeed) that happened inside a privacy zone are withheld entirely
+function filterPrivateEvent(event, zones) {
+    if (typeof event.poiId !== 'undefined') {
+        const poi = loadPOIData().find(p => p.id === event.poiId);
+        if (poi && findPrivacyZone({ lat: poi.latitude, lng: poi.longitude }, zones)) return null;
+    }
+    return findPrivacyZone(event, zones) ? null : event;
+}
+
+// Returns an error message, or null when the zone is valid
+function validatePrivacyZone(zone) {
+    if (!zone || typeof zone !== 'object') return "Body must be a JSON object";
+    if (typeof zone.name !== 'string' || !zone.name.trim()) return "name is required";
+    if (!zone.center || !isValidLatLng(zone.center.lat, zone.center.lng)) {
+        return "center must be { lat, lng } within valid ranges";
+    }
+    if (typeof zone.radius !== 'number' || !(zone.radius > 0)) return "radius must be a positive number of meters";
+    if (zone.mode !== 'hide' && zone.mode !== 'snap') return "mode must be hide or snap";
+    return null;
+}
+
+function normalizePrivacyZone(id, zone) {
+    return {
+        id,
+        name: zone.name.trim(),
+        center: { lat: zone.center.lat, lng: zone.center.lng },
+        radius: zone.radius,
+        mode: zone.mode
+    };
+}
+
+// Returns an error message, or null when the share settings are valid
+function validateShare(body) {
+    if (!body || typeof body !== 'object') return "Body must be a JSON object";
+    if (typeof body.name !== 'string' || !body.name.trim()) return "name is required";
+    if (typeof body.devices !== 'undefined' && body.devices !== null &&
+        (!Array.isArray(body.devices) || body.devices.length === 0 || !body.devices.every(d => DEVICE_ID_PATTERN.test(d)))) {
+        return "devices must be a non-empty array of device ids or null";
+    }
+    if (typeof body.fields !== 'undefined' && body.fields !== null) {
+        if (!Array.isArray(body.fields)) return "fields must be an array or null";
+        const unknown = body.fields.filter(f => !SHARE_FIELDS.includes(f));
+        if (unknown.length > 0) return `Unknown fields: ${unknown.join(', ')}`;
+    }
+    for (const name of ["windowFrom", "windowTo", "expiresAt"]) {
+        if (typeof body[name] !== 'undefined' && body[name] !== null && Number.isNaN(new Date(body[name]).getTime())) {
+            return `${name} must be an ISO 8601 date or null`;
+        }
+    }
+    if (body.windowFrom && body.windowTo && new Date(body.windowFrom) > new Date(body.windowTo)) {
+        return "windowFrom must be before windowTo";
+    }
+    if (body.expiresAt && new Date(body.expiresAt).getTime() <= Date.now()) return "expiresAt must be in the future";
+    return null;
+}
+
+function publicShare(share) {
+    const { hash, ...rest } = share;
+    return { ...rest, active: isKeyActive(share) };
+}
+
+// Returns an error message, or null when the key settings are valid
+function validateApiKey(body) {
+    if (!body || typeof body !== 'object') return "Body must be a JSON object";
+    if (typeof body.name !== 'string' || !body.name.trim()) return "name is required";
+    if (!Array.isArray(body.scopes) || body.scopes.length === 0) return "scopes must be a non-empty array";
+    const unknown = body.scopes.filter(s => !KEY_SCOPES.includes(s));
+    if (unknown.length > 0) return `Unknown scopes: ${unknown.join(', ')}`;
+    if (typeof body.expiresAt !== 'undefined' && body.expiresAt !== null) {
+        const expires = new Date(body.expiresAt).getTime();
+        if (Number.isNaN(expires)) return "expiresAt must be an ISO 8601 date or null";
+        if (expires <= Date.now()) return "expiresAt must be in the future";
+    }
+    return null;
+}
+
+function publicApiKey(entry) {
+    const { hash, ...rest } = entry;
+    return { ...rest, active: isKeyActive(entry) };
+}
+
+// Strict decimal from a query parameter: null when empty, NaN when malformed ("12abc", repeated params)
+function parseNumberParam(value) {
+    if (value === '') return null;
+    return typeof value === 'string' && /^[-+]?(\d+\.?\d*|\.\d+)$/.test(value.trim()) ? parseFloat(value) : NaN;
+}
+
+// Returns [{ field, message }] for values outside MEASUREMENT_RANGES; null and undefined are skipped
+function checkMeasurements(values) {
+    const errors = [];
+    for (const [field, range] of Object.entries(MEASUREMENT_RANGES)) {
+        const value = values[field];
+        if (value === null || typeof value === 'undefined') continue;
+        if (typeof value !== 'number' || !Number.isFinite(value) || (range.integer && !Number.isInteger(value)) ||
+            value < range.min || value > range.max) {
+            errors.push({ field, message: `must be ${range.integer ? "an integer" : "a number"} between ${range.min} and ${range.max}` });
+        }
+    }
+    return errors;
+}
+
+/*
+ Optional telemetry query parameters of /receivedata, validated like the GPS fields.
+ Numbers: { min, max, integer }; strings: { pattern, hint }.
+*/
+const TELEMETRY_PARAMS = {
+    battery: { min: 0, max: 100 },
+    voltage: { min: 0, max: 60 },
+    rssi: { min: -127, max: 0, integer: true },
+    heap: { min: 0, max: 2 ** 32, integer: true },
+    uptime: { min: 0, max: 2 ** 32, integer: true },
+    ssid: { pattern: /^.{1,32}$/u, hint: "1 to 32 characters" },
+    resetReason: { pattern: /^[A-Za-z0-9_]{1,32}$/, hint: "letters, digits and _ (max 32)" },
+    firmware: { pattern: /^[\x21-\x7e]{1,32}$/, hint: "1 to 32 printable characters without spaces" }
+};
+
+// Returns { telemetry } (null when the packet carries none), or { errors: [{ field, message }] }
+function parseTelemetryParams(query) {
+    const telemetry = {};
+    const errors = [];
+    for (const [field, spec] of Object.entries(TELEMETRY_PARAMS)) {
+        const raw = query[field];
+        if (typeof raw === 'undefined' || raw === '') continue;
+        if (spec.pattern) {
+            if (typeof raw !== 'string' || !spec.pattern.test(raw)) errors.push({ field, message: `must be ${spec.hint}` });
+            else telemetry[field] = raw;
+            continue;
+        }
+        const value = parseNumberParam(raw);
+        if (Number.isNaN(value) || (spec.integer && !Number.isInteger(value)) || value < spec.min || value > spec.max) {
+            errors.push({ field, message: `must be ${spec.integer ? "an integer" : "a number"} between ${spec.min} and ${spec.max}` });
+        } else {
+            telemetry[field] = value;
+        }
+    }
+    if (errors.length > 0) return { errors };
+    return { telemetry: Object.keys(telemetry).length > 0 ? telemetry : null };
+}
+
+// Returns { values } with numbers parsed from the query, or { errors: [{ field, message }] }
+function parseLivePacket(query) {
+    const errors = [];
+    if (typeof query.fix !== 'undefined' && !['true', '1', 'false', '0'].includes(query.fix)) {
+        errors.push({ field: "fix", message: "must be true, false, 1 or 0" });
+    }
+    const fix = query.fix === 'true' || query.fix === '1';
+    const { telemetry, errors: telemetryErrors } = parseTelemetryParams(query);
+    if (telemetryErrors) errors.push(...telemetryErrors);
+
+    // Device-side GPS time, when the device knows it; otherwise the arrival time is used
+    const now = Date.now();
+    const time = parseTimeParam(query.time);
+    if (Number.isNaN(time)) {
+        errors.push({ field: "time", message: "must be an ISO time or epoch ms" });
+    } else if (time !== null && time > now + BATCH_MAX_CLOCK_SKEW_MS) {
+        errors.push({ field: "time", message: "is in the future" });
+    } else if (time !== null && time < now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000) {
+        errors.push({ field: "time", message: "is older than the history retention" });
+    }
+
+    // Absent sats/hdop stay undefined so the state keeps its last values
+    const values = { fix, telemetry, time };
+    for (const field of ["lat", "lng", "speed", "alt", "sats", "hdop"]) {
+        if (typeof query[field] === 'undefined') continue;
+        values[field] = parseNumberParam(query[field]);
+        if (Number.isNaN(values[field])) errors.push({ field, message: "must be a number" });
+    }
+    // The stock firmware reports unknown satellites and HDOP as -1
+    for (const field of ["sats", "hdop"]) {
+        if (values[field] === -1) values[field] = null;
+    }
+    if (errors.length > 0) return { errors };
+
+    if (fix) {
+        for (const [field, limit] of [["lat", 90], ["lng", 180]]) {
+            if (typeof values[field] !== 'number' || Math.abs(values[field]) > limit) {
+                errors.push({ field, message: `is required with a fix, between -${limit} and ${limit}` });
+            }
+        }
+    }
+    errors.push(...checkMeasurements(values));
+    return errors.length > 0 ? { errors } : { values };
+}
+
+/*
+ Rejected fix structure (rejected-fixes.json, newest 1000):
+ {
+     timestamp: ISOString,   // when it was rejected
+     fixTime: ISOString|null,// device-side time of batch, NMEA and app points
+     device: String|null,    // null when the device id itself was invalid
+     reason: "invalid"|"hdop"|"speed"|"null-island",
+     message: String,
+     lat, lng, hdop, speed: Number|null
+ }
+*/
+function recordRejection(device, reason, message, point = {}) {
+    ingestStats.rejected++;
+    ingestStats.byReason[reason] = (ingestStats.byReason[reason] || 0) + 1;
+    const key = device || "(invalid)";
+    ingestStats.byDevice[key] = (ingestStats.byDevice[key] || 0) + 1;
+
+    const number = value => typeof value === 'number' && Number.isFinite(value) ? value : null;
+    appendEventLog(REJECTED_FIXES_LOG, [{
+        timestamp: new Date().toISOString(),
+        fixTime: point.timestamp || null,
+        device,
+        reason,
+        message,
+        lat: number(point.lat),
+        lng: number(point.lng),
+        hdop: number(point.hdop),
+        speed: number(point.speed)
+    }]);
+    console.log(`Rejected packet from ${key} (${reason}): ${message}`);
+}
+
+function loadIngestFilter() {
+    return { ...INGEST_FILTER_DEFAULTS, ...(loadConfig()?.ingest || {}) };
+}
+
+// Latest stored fix of the device before time (epoch ms), within JUMP_LOOKBACK_MS
+function findPreviousFix(deviceId, time) {
+    const points = queryHistory(time - JUMP_LOOKBACK_MS, time - 1, deviceId);
+    for (let i = points.length - 1; i >= 0; i--) {
+        if (points[i].fix) return points[i];
+    }
+    return null;
+}
+
+// Reference for a live fix: the device's latest fix, unless the device clock went back past it
+// (a reboot before GPS time, a replay starting over), which leaves no elapsed time to judge by
+function liveReference(state, time) {
+    if (!state || !state.lastFixTimestamp || state.lat === null) return null;
+    const elapsed = time - new Date(state.lastFixTimestamp).getTime();
+    if (elapsed <= 0 || elapsed > JUMP_LOOKBACK_MS) return null;
+    return { lat: state.lat, lng: state.lng, timestamp: state.lastFixTimestamp };
+}
+
+// Returns { reason, message } when the fix fails the quality filter, else null.
+// reference is the device's previous accepted fix (history point structure) or null.
+function checkFixQuality(point, reference, filter) {
+    if (filter.rejectNullIsland && Math.abs(point.lat) < 1e-4 && Math.abs(point.lng) < 1e-4) {
+        return { reason: "null-island", message: "0,0 is what receivers report before they have a position" };
+    }
+    if (filter.maxHdop && typeof point.hdop === 'number' && point.hdop > filter.maxHdop) {
+        return { reason: "hdop", message: `HDOP ${point.hdop} is above ${filter.maxHdop}` };
+    }
+    if (filter.maxSpeed && reference) {
+        const meters = haversineMeters(reference, point);
+        const seconds = Math.max((new Date(point.timestamp) - new Date(reference.timestamp)) / 1000, 1);
+        const speed = meters / seconds * 3.6;
+        if (meters > JUMP_TOLERANCE_METERS && speed > filter.maxSpeed) {
+            return {
+                reason: "speed",
+                message: `${Math.round(meters)} m in ${Math.round(seconds)} s since the last fix is ${Math.round(speed)} km/h, above ${filter.maxSpeed}`
+            };
+        }
+    }
+    return null;
+}
+
+app.get("/receivedata", requireScope("ingest"), (req, res) => {
+    const { lat, lng, speed, alt, sats, hdop } = req.query;
+    const device = req.query.device || DEFAULT_DEVICE_ID;
+
+    if (!DEVICE_ID_PATTERN.test(device)) {
+        recordRejection(null, "invalid", "Invalid device id");
+        return res.status(400).json({ error: "Invalid device id (letters, digits, - and _, max 32)" });
+    }
+
+    const { values, errors } = parseLivePacket(req.query);
+    if (errors) {
+        const message = errors.map(e => `${e.field} ${e.message}`).join("; ");
+        recordRejection(device, "invalid", message);
+        return res.status(400).json({ error: `Invalid packet: ${message}`, details: errors });
+    }
+
+    const isFix = values.fix;
+    const previous = loadLatestGPS(device);
+
+    console.log("Device:", device);
+    if (isFix) {
+        console.log("GPS FIX received:");
+        console.log("Latitude:", lat);
+        console.log("Longitude:", lng);
+        console.log("Speed:", speed, "km/h");
+        console.log("Altitude:", alt, "m");
+    } else {
+        console.log("NO FIX packet received:");
+        console.log("Satellites:", sats);
+        console.log("HDOP:", hdop);
+    }
+    console.log("Fix flag:", isFix);
+    console.log("---------------------");
+
+    const packet = {
+        device,
+        fix: isFix,
+        lat: isFix ? values.lat : previous?.lat ?? null,
+        lng: isFix ? values.lng : previous?.lng ?? null,
+        speed: isFix ? values.speed ?? null : previous?.speed ?? null,
+        alt: isFix ? values.alt ?? null : previous?.alt ?? null,
+        sats: values.sats,
+        hdop: values.hdop,
+        telemetry: values.telemetry,
+        timestamp: values.time !== null ? new Date(values.time).toISOString() : undefined
+    };
+
+    if (isFix) {
+        const time = values.time ?? Date.now();
+        const problem = checkFixQuality({ ...packet, timestamp: time }, liveReference(previous, time), loadIngestFilter());
+        if (problem) {
+            recordRejection(device, problem.reason, problem.message, packet);
+            return res.status(422).json({
+                error: `Fix filtered: ${problem.message}`, status: 'filtered', device, fix: true, reason: problem.reason
+            });
+        }
+    }
+
+    saveLatestGPS(packet);
+
+    res.json({ status: 'ok', device, fix: isFix });
+});
+
+/*
+ Batch point structure (POST /receivedata/batch, body { device, points: [...] } or a bare array):
+ {
+     timestamp: ISO String|Number, // device-side GPS time, epoch ms when a number
+     device: String,               // optional, defaults to the body's device
+     fix: Boolean,                 // optional, true when lat/lng are given
+     lat, lng, speed, alt: Number,
+     sats, hdop: Number            // optional
+ }
+*/
+
+// Returns { point } in history point structure, or { error }
+function parseBatchPoint(raw, defaultDevice, now) {
+    if (!raw || typeof raw !== 'object') return { error: "Point must be a JSON object" };
+
+    const device = typeof raw.device === 'undefined' ? defaultDevice : raw.device;
+    if (typeof device !== 'string' || !DEVICE_ID_PATTERN.test(device)) return { error: "Invalid device id" };
+
+    const time = typeof raw.timestamp === 'number' ? raw.timestamp : parseTimeParam(raw.timestamp);
+    if (time === null || isNaN(time)) return { error: "timestamp is required (ISO string or epoch ms)" };
+    if (time > now + BATCH_MAX_CLOCK_SKEW_MS) return { error: "timestamp is in the future" };
+    if (time < now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000) return { error: "timestamp is older than the history retention" };
+
+    const fix = typeof raw.fix === 'boolean' ? raw.fix : typeof raw.lat === 'number' && typeof raw.lng === 'number';
+    if (fix && !isValidLatLng(raw.lat, raw.lng)) return { error: "lat/lng must be numbers within valid ranges" };
+    const invalid = checkMeasurements(raw)[0];
+    if (invalid) return { error: `${invalid.field} ${invalid.message}` };
+    const number = value => typeof value === 'number' && Number.isFinite(value) ? value : null;
+
+    return {
+        point: {
+            timestamp: new Date(time).toISOString(),
+            device,
+            fix,
+            lat: fix ? raw.lat : null,
+            lng: fix ? raw.lng : null,
+            speed: fix ? number(raw.speed) : null,
+            alt: fix ? number(raw.alt) : null,
+            sats: number(raw.sats),
+            hdop: number(raw.hdop)
+        }
+    };
+}
+
+/*
+ Stores points that carry their own device-side timestamp (history point structure, plus
+ the optional quality fields). Fixes failing the quality filter are dropped and recorded.
+ Every other new point goes into history at its own time; points newer than the device's
+ last fix also become its live state, oldest first, so geofence, POI and speed checks see
+ them in order. Returns { accepted, duplicates, filtered, liveUpdates }.
+*/
+function ingestPoints(points) {
+    const seen = new Set(); // "<device> <time>" of accepted points, to drop repeats within the upload
+    const accepted = [];
+    let duplicates = 0;
+    for (const point of points) {
+        const time = new Date(point.timestamp).getTime();
+        const key = `${point.device} ${time}`;
+        if (seen.has(key) || hasHistoryPoint(point.device, time)) {
+            // Devices resend the whole buffer when an upload's response is lost
+            duplicates++;
+            continue;
+        }
+        seen.add(key);
+        accepted.push(point);
+    }
+    accepted.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+    const filter = loadIngestFilter();
+    const lastKept = {}; // device -> latest fix kept from this upload, not in history yet
+    let filtered = 0;
+    const kept = accepted.filter(point => {
+        if (!point.fix) return true;
+        const time = new Date(point.timestamp).getTime();
+        const stored = findPreviousFix(point.device, time);
+        const upload = lastKept[point.device];
+        const reference = upload && (!stored || new Date(upload.timestamp) >= new Date(stored.timestamp)) ? upload : stored;
+        const problem = checkFixQuality(point, reference, filter);
+        if (problem) {
+            recordRejection(point.device, problem.reason, problem.message, point);
+            filtered++;
+            return false;
+        }
+        lastKept[point.device] = point;
+        return true;
+    });
+
+    // Per-satellite data and telemetry are only kept for the live state
+    insertHistory(kept.map(({ satellites, telemetry, ...point }) => point));
+
+    let liveUpdates = 0;
+    for (const point of kept) {
+        const state = loadLatestGPS(point.device);
+        const lastFix = state?.lastFixTimestamp ? new Date(state.lastFixTimestamp).getTime() : -Infinity;
+        if (new Date(point.timestamp).getTime() <= lastFix) continue;
+        saveLatestGPS(point, false);
+        liveUpdates++;
+    }
+    return { accepted: kept.length, duplicates, filtered, liveUpdates };
+}
+
+// Fixes buffered while the device had no connection
+app.post("/receivedata/batch", requireScope("ingest"), (req, res) => {
+    const body = req.body;
+    const rawPoints = Array.isArray(body) ? body : body?.points;
+    if (!Array.isArray(rawPoints)) {
+        return res.status(400).json({ error: "Body must be an array of points or { device, points: [...] }" });
+    }
+    const defaultDevice = Array.isArray(body) || typeof body.device === 'undefined' ? DEFAULT_DEVICE_ID : body.device;
+    if (typeof defaultDevice !== 'string' || !DEVICE_ID_PATTERN.test(defaultDevice)) {
+        recordRejection(null, "invalid", "Invalid device id");
+        return res.status(400).json({ error: "Invalid device id (letters, digits, - and _, max 32)" });
+    }
+    if (rawPoints.length > BATCH_MAX_POINTS) {
+        return res.status(413).json({ error: `At most ${BATCH_MAX_POINTS} points per batch` });
+    }
+
+    const now = Date.now();
+    const rejected = [];
+    const points = [];
+    rawPoints.forEach((raw, index) => {
+        const { point, error } = parseBatchPoint(raw, defaultDevice, now);
+        if (error) {
+            recordRejection(defaultDevice, "invalid", `Batch point ${index}: ${error}`);
+            rejected.push({ index, error });
+        } else {
+            points.push(point);
+        }
+    });
+
+    const result = ingestPoints(points);
+    console.log(`Batch: ${result.accepted} stored, ${result.duplicates} duplicate, ${rejected.length} rejected, ${result.filtered} filtered, ${result.liveUpdates} live`);
+    res.json({ status: 'ok', ...result, rejected });
+});
+
+// Raw NMEA text (RMC, GGA, GSA, VTG, GSV) as forwarded from a receiver's serial port
+app.post("/receivedata/nmea", requireScope("ingest"), bodyParser.text({ type: () => true, limit: "1mb" }), (req, res) => {
+    const device = req.query.device || DEFAULT_DEVICE_ID;
+    if (typeof device !== 'string' || !DEVICE_ID_PATTERN.test(device)) {
+        recordRejection(null, "invalid", "Invalid device id");
+        return res.status(400).json({ error: "Invalid device id (letters, digits, - and _, max 32)" });
+    }
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+        return res.status(400).json({ error: "Body must be NMEA sentences as plain text" });
+    }
+
+    const now = Date.now();
+    const { epochs, invalid } = parseNMEA(req.body, {
+        date: new Date(now),
+        allowMissingChecksum: req.query.checksum === 'optional'
+    });
+    if (epochs.length === 0 && invalid === 0) {
+        return res.status(400).json({ error: "No RMC, GGA, GSA, VTG or GSV sentences found" });
+    }
+    if (epochs.length > BATCH_MAX_POINTS) {
+        return res.status(413).json({ error: `At most ${BATCH_MAX_POINTS} epochs per upload` });
+    }
+
+    const points = [];
+    const rejected = [];
+    let skipped = 0;
+    epochs.forEach((epoch, index) => {
+        let time = epoch.time ?? now;
+        // GGA-only streams carry no date: an epoch "ahead" of the server was recorded yesterday
+        if (time > now + BATCH_MAX_CLOCK_SKEW_MS) time -= 24 * 60 * 60 * 1000;
+        const fix = epoch.fix && isValidLatLng(epoch.lat, epoch.lng);
+        if (time < now - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000 || (epoch.fix && !fix)) {
+            skipped++;
+            return;
+        }
+        const invalid = checkMeasurements({ ...epoch, speed: fix ? epoch.speed : null, alt: fix ? epoch.alt : null })[0];
+        if (invalid) {
+            const error = `${invalid.field} ${invalid.message}`;
+            recordRejection(device, "invalid", `NMEA epoch ${index}: ${error}`);
+            rejected.push({ index, error });
+            return;
+        }
+        points.push({
+            timestamp: new Date(time).toISOString(),
+            device,
+            fix,
+            lat: fix ? epoch.lat : null,
+            lng: fix ? epoch.lng : null,
+            speed: fix ? epoch.speed : null,
+            alt: fix ? epoch.alt : null,
+            sats: epoch.sats,
+            hdop: epoch.hdop,
+            course: fix ? epoch.course : null,
+            // Left undefined when this epoch had no GSA/GSV, so the live state keeps the last values
+            pdop: epoch.pdop ?? undefined,
+            vdop: epoch.vdop ?? undefined,
+            fixType: epoch.fixType,
+            satellites: epoch.satellites ?? undefined
+        });
+    });
+
+    const result = ingestPoints(points);
+    console.log(`NMEA (${device}): ${result.accepted} stored, ${result.duplicates} duplicate, ${rejected.length} rejected, ${result.filtered} filtered, ${invalid} bad checksum, ${result.liveUpdates} live`);
+    res.json({ status: 'ok', device, epochs: epochs.length, ...result, skipped, rejected, invalidSentences: invalid });
+});
+
+// Phone apps use their own ids (IMEIs, user names, ...); keep what fits DEVICE_ID_PATTERN
+function sanitizeDeviceId(value) {
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const id = String(value).trim().replace(/[^A-Za-z0-9_-]+/g, '-').slice(0, 32);
+    return DEVICE_ID_PATTERN.test(id) ? id : null;
+}
+
+// Unix seconds, epoch ms, ISO 8601 or "yyyy-MM-dd HH:mm:ss" (UTC)
+function parseAppTimestamp(value) {
+    if (typeof value === 'undefined' || value === null || value === '') return Date.now();
+    if (/^\d+(\.\d+)?$/.test(String(value))) {
+        const number = parseFloat(value);
+        return number < 1e12 ? Math.round(number * 1000) : number;
+    }
+    const text = String(value);
+    return new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}/.test(text) ? text.replace(' ', 'T') + 'Z' : text).getTime();
+}
+
+// Validates a location reported by a phone app and stores it like a batch point.
+// extra holds course, accuracy and battery, which only these apps report.
+function ingestAppLocation(res, raw, extra) {
+    const { point, error } = parseBatchPoint({ ...raw, fix: true }, DEFAULT_DEVICE_ID, Date.now());
+    if (error) {
+        recordRejection(raw.device, "invalid", error);
+        res.status(400).json({ error });
+        return null;
+    }
+    const number = value => typeof value === 'number' && Number.isFinite(value) ? value : undefined;
+    return ingestPoints([{
+        ...point,
+        course: number(extra.course) ?? null,
+        accuracy: number(extra.accuracy) ?? null,
+        telemetry: typeof number(extra.battery) === 'number' ? { battery: Math.min(Math.max(extra.battery, 0), 100) } : undefined
+    }]);
+}
+
+/*
+ OsmAnd protocol, as spoken by the Traccar Client app and OsmAnd's online tracking:
+ GET or POST /osmand?id=..&lat=..&lon=..&timestamp=..&speed=..&bearing=..&altitude=..&accuracy=..&batt=..
+ (speed in knots, batt in percent). Newer Traccar Client versions POST JSON instead:
+ { device_id, location: { timestamp, coords: { latitude, longitude, speed, heading, altitude, accuracy },
+   battery: { level } } } with speed in m/s and level 0..1.
+ The app cannot send headers, so the key goes into the server URL as ?key=.
+*/
+app.all("/osmand", requireScope("ingest"), bodyParser.urlencoded({ extended: false }), (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'POST') return res.status(405).json({ error: "Use GET or POST" });
+
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const location = body.location;
+    let result;
+    if (location && typeof location === 'object') {
+        const device = sanitizeDeviceId(req.query.device || body.device_id);
+        if (!device) return res.status(400).json({ error: "device_id is required" });
+        const coords = location.coords || {};
+        result = ingestAppLocation(res, {
+            device,
+            timestamp: parseAppTimestamp(location.timestamp),
+            lat: coords.latitude,
+            lng: coords.longitude,
+            speed: typeof coords.speed === 'number' && coords.speed >= 0 ? coords.speed * 3.6 : null, // m/s -> km/h
+            alt: coords.altitude
+        }, {
+            course: coords.heading >= 0 ? coords.heading : null,
+            accuracy: coords.accuracy,
+            battery: typeof location.battery?.level === 'number' ? Math.round(location.battery.level * 100) : undefined
+        });
+    } else {
+        const params = { ...body, ...req.query };
+        const device = sanitizeDeviceId(params.device || params.id || params.deviceid);
+        if (!device) return res.status(400).json({ error: "id is required" });
+        // Missing, empty or malformed values are unknown, never 0
+        const number = value => {
+            const parsed = typeof value === 'undefined' ? null : parseNumberParam(value);
+            return Number.isFinite(parsed) ? parsed : null;
+        };
+        const speed = number(params.speed);
+        result = ingestAppLocation(res, {
+            device,
+            timestamp: parseAppTimestamp(params.timestamp),
+            lat: number(params.lat),
+            lng: number(params.lon ?? params.lng),
+            speed: speed !== null ? speed * 1.852 : null, // knots -> km/h
+            alt: number(params.altitude)
+        }, {
+            course: number(params.bearing ?? params.heading),
+            accuracy: number(params.accuracy),
+            battery: params.batt !== undefined ? number(params.batt) : undefined
+        });
+    }
+    if (result) res.json({ status: 'ok', ...result });
+});
+
+/*
+ OwnTracks HTTP mode: POST JSON messages, answered with a JSON array (for friends' locations,
+ always empty here). Only _type "location" is stored: { lat, lon, tst, vel, cog, alt, acc, batt, tid }
+ with tst in unix seconds and vel in km/h. Use Basic auth with the key as password, or ?key=.
+ The device is ?device=, else the app's device name (X-Limit-D header), else its tracker id.
+*/
+app.post("/owntracks", requireScope("ingest"), (req, res) => {
+    const message = req.body;
+    if (!message || message._type !== 'location') return res.json([]);
+
+    const device = sanitizeDeviceId(req.query.device || req.get('X-Limit-D') || message.tid);
+    if (!device) return res.status(400).json({ error: "Device name or tid is required" });
+
+    const result = ingestAppLocation(res, {
+        device,
+        timestamp: parseAppTimestamp(message.tst),
+        lat: message.lat,
+        lng: message.lon,
+        speed: message.vel,
+        alt: message.alt
+    }, {
+        course: message.cog,
+        accuracy: message.acc,
+        battery: message.batt
+    });
+    if (result) res.json([]);
+});
+
+app.get("/api/ingest/rejections", requireViewer(false), (req, res) => {
+    const zones = viewerPrivacyZones(req);
+    res.json(queryEventLog(REJECTED_FIXES_LOG, req.query).filter(e => filterPrivateEvent(e, zones)));
+});
+
+// Rejected packet counts since the server started, and the filter settings in effect
+app.get("/api/ingest/stats", requireViewer(false), (req, res) => {
+    res.json({ ...ingestStats, filter: loadIngestFilter() });
+});
+
+app.get("/api/latest-gps", requireViewer(true), (req, res) => {
+    let data = loadLatestGPS(req.query.device || null);
+    if (req.share && !req.query.device) {
+        // Most recent among the shared devices only
+        data = null;
+        for (const state of Object.values(loadDeviceStates())) {
+            const shared = shareState(state, req.share);
+            if (shared && (!data || shared.lastPacketTimestamp > data.lastPacketTimestamp)) data = shared;
+        }
+    } else {
+        data = shareState(data, req.share);
+    }
+    data = applyPrivacy(data, viewerPrivacyZones(req));
+    if (data) {
+        res.json(data);
+    } else {
+        res.status(404).json({ error: "No GPS data available" });
+    }
+});
+
+// EventSource cannot send headers, so key holders trade their key for a token to put in the stream URL
+app.post("/api/stream/token", requireScope("view"), (req, res) => {
+    const now = Date.now();
+    for (const [token, entry] of streamTokens) {
+        if (entry.expiresAt <= now) streamTokens.delete(token);
+    }
+    const token = crypto.randomBytes(18).toString("base64url");
+    streamTokens.set(token, { key: req.apiKey, expiresAt: now + STREAM_TOKEN_TTL_MS });
+    res.json({ token, expiresIn: STREAM_TOKEN_TTL_MS / 1000 });
+});
+
+// Like requireViewer(true), plus stream tokens; the API key itself is not accepted in the URL
+function requireStreamViewer() {
+    const checkViewer = requireViewer(true);
+    return (req, res, next) => {
+        if (typeof req.query.token === 'string') {
+            const entry = streamTokens.get(req.query.token);
+            streamTokens.delete(req.query.token);
+            if (!entry || entry.expiresAt <= Date.now()) {
+                return res.status(401).json({ error: "Stream token is invalid, used or expired" });
+            }
+            req.apiKey = entry.key;
+            return next();
+        }
+        if (typeof req.query.key !== 'undefined') {
+            return res.status(401).json({ error: "Get a stream token from POST /api/stream/token instead of putting the API key in the URL" });
+        }
+        checkViewer(req, res, next);
+    };
+}
+
+app.get("/api/stream", requireStreamViewer(), (req, res) => {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no' // keep Nginx from buffering the stream
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    res.locals.share = req.share || null;
+    res.locals.keyId = req.share ? null : req.apiKey.id;
+    res.locals.privacy = !req.apiKey?.scopes.includes("admin");
+    streamClients.add(res);
+    req.on('close', () => {
+        streamClients.delete(res);
+    });
+});
+
+app.get("/api/devices", requireViewer(true), (req, res) => {
+    const registry = loadDeviceRegistry();
+    const ids = new Set([...Object.keys(registry), ...Object.keys(loadDeviceStates())]);
+    let devices = [...ids].map(id => getDeviceSummary(id, registry));
+    if (req.share) {
+        devices = devices
+            .filter(device => !req.share.devices || req.share.devices.includes(device.id))
+            .map(device => ({ ...device, latest: shareState(device.latest, req.share) }));
+    }
+    const zones = viewerPrivacyZones(req);
+    devices = devices.map(device => ({ ...device, latest: applyPrivacy(device.latest, zones) }));
+    devices.sort((a, b) => a.name.localeCompare(b.name));
+    res.json(devices);
+});
+
+app.get("/api/devices/:id/latest", requireViewer(true), (req, res) => {
+    const data = applyPrivacy(shareState(loadLatestGPS(req.params.id), req.share), viewerPrivacyZones(req));
+    if (data) {
+        res.json(data);
+    } else {
+        res.status(404).json({ error: "No GPS data available for this device" });
+    }
+});
+
+// Device health: latest telemetry, warnings and the sampled history (oldest first, optional limit)
+app.get("/api/devices/:id/telemetry", requireViewer(false), (req, res) => {
+    const state = loadLatestGPS(req.params.id);
+    if (!state) return res.status(404).json({ error: "Unknown device" });
+
+    const limit = Math.min(parseInt(req.query.limit) || TELEMETRY_HISTORY_MAX, TELEMETRY_HISTORY_MAX);
+    res.json({
+        device: state.device,
+        lastPacketTimestamp: state.lastPacketTimestamp,
+        offline: !!state.offline,
+        latest: state.telemetry || null,
+        warnings: telemetryWarnings(state),
+        history: (loadTelemetryHistory()[state.device] || []).slice(-limit)
+    });
+});
+
+app.put("/api/devices/:id", requireScope("admin"), (req, res) => {
+    const id = req.params.id;
+    if (!DEVICE_ID_PATTERN.test(id)) {
+        return res.status(400).json({ error: "Invalid device id (letters, digits, - and _, max 32)" });
+    }
+
+    const { name, color, icon } = req.body || {};
+    if (typeof name !== 'undefined' && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: "name must be a non-empty string" });
+    }
+    if (typeof color !== 'undefined' && !/^#[0-9A-Fa-f]{6}$/.test(color)) {
+        return res.status(400).json({ error: "color must be a #RRGGBB hex color" });
+    }
+    if (typeof icon !== 'undefined' && (typeof icon !== 'string' || icon.length > 8)) {
+        return res.status(400).json({ error: "icon must be a short string" });
+    }
+
+    ensureDeviceRegistered(id);
+    const registry = loadDeviceRegistry();
+    if (typeof name !== 'undefined') registry[id].name = name.trim();
+    if (typeof color !== 'undefined') registry[id].color = color;
+    if (typeof icon !== 'undefined') registry[id].icon = icon;
+
+    if (!saveDeviceRegistry(registry)) {
+        return res.status(500).json({ error: "Failed to save device" });
+    }
+    broadcastEvent('devices', { id });
+    res.json(getDeviceSummary(id, registry));
+});
+
+app.delete("/api/devices/:id", requireScope("admin"), (req, res) => {
+    const id = req.params.id;
+    const registry = loadDeviceRegistry();
+    const states = loadDeviceStates();
+    if (!registry[id] && !states[id]) {
+        return res.status(404).json({ error: "Unknown device" });
+    }
+
+    // Position history is kept; the registry entry, latest state and telemetry samples are dropped
+    delete registry[id];
+    delete states[id];
+    saveDeviceRegistry(registry);
+    saveDeviceStates(states);
+    const telemetry = loadTelemetryHistory();
+    if (telemetry[id]) {
+        delete telemetry[id];
+        storage.saveLater("telemetry", telemetry);
+    }
+    broadcastEvent('devices', { id });
+    res.json({ message: "Device removed" });
+});
+
+app.get("/api/history", requireViewer(false), (req, res) => {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: "Invalid from/to, use ISO 8601 or epoch milliseconds" });
+    }
+    if (from !== null && to !== null && from > to) {
+        return res.status(400).json({ error: "from must be before to" });
+    }
+
+    let limit = HISTORY_DEFAULT_LIMIT;
+    if (typeof req.query.limit !== 'undefined') {
+        limit = parseInt(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({ error: "limit must be a positive integer" });
+        }
+        limit = Math.min(limit, HISTORY_MAX_LIMIT);
+    }
+
+    const device = req.query.device || null;
+    const zones = viewerPrivacyZones(req);
+    const points = queryHistory(from, to, device).map(p => applyPrivacy(p, zones));
+    const result = downsamplePoints(points, limit);
+    res.json({
+        device,
+        from: from !== null ? new Date(from).toISOString() : null,
+        to: to !== null ? new Date(to).toISOString() : null,
+        total: points.length,
+        count: result.length,
+        downsampled: result.length < points.length,
+        points: result
+    });
+});
+
+app.get("/api/export", requireViewer(false), (req, res) => {
+    const rawFormat = typeof req.query.format === 'undefined' ? 'gpx' : req.query.format;
+    if (typeof rawFormat !== 'string') {
+        return res.status(400).json({ error: "format must be given once" });
+    }
+    if (typeof req.query.device !== 'undefined' && typeof req.query.device !== 'string') {
+        return res.status(400).json({ error: "device must be given once" });
+    }
+    const format = (rawFormat || 'gpx').toLowerCase();
+    const formatInfo = EXPORT_FORMATS[format];
+    if (!formatInfo) {
+        return res.status(400).json({ error: `Unknown format, use one of: ${Object.keys(EXPORT_FORMATS).join(', ')}` });
+    }
+
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: "Invalid from/to, use ISO 8601 or epoch milliseconds" });
+    }
+    if (from !== null && to !== null && from > to) {
+        return res.status(400).json({ error: "from must be before to" });
+    }
+
+    // Only fixes carry a position; no-fix packets would break the track
+    const device = req.query.device || null;
+    const zones = viewerPrivacyZones(req);
+    const points = queryHistory(from, to, device)
+        .map(p => applyPrivacy(p, zones))
+        .filter(p => p.fix && p.lat !== null && p.lng !== null);
+    if (points.length === 0) {
+        return res.status(404).json({ error: "No GPS fixes in the requested range" });
+    }
+
+    const stamp = points[0].timestamp.slice(0, 19).replace(/[:T]/g, '-');
+    const prefix = device ? `track-${device}` : 'track';
+    const filename = `${prefix}-${stamp}.${formatInfo.extension}`;
+    const name = device ? `${getDeviceSummary(device, loadDeviceRegistry()).name} ${points[0].timestamp}` : `Track ${points[0].timestamp}`;
+    const body = buildExport(format, points, name);
+
+    res.set('Content-Type', `${formatInfo.contentType}; charset=utf-8`);
+    res.set('Content-Disposition', `attachment; filename="${filename}"`);
+    res.send(body);
+});
+
+// Nearest POI title within TRIP_PLACE_RADIUS (or the POI's own arrivalRadius)
+function describePlace(place, pois) {
+    let best = null;
+    for (const poi of pois) {
+        const distance = haversineMeters(place, { lat: poi.latitude, lng: poi.longitude });
+        if (distance <= Math.max(TRIP_PLACE_RADIUS, poi.arrivalRadius || 0) && (!best || distance < best.distance)) {
+            best = { title: poi.title, distance };
+        }
+    }
+    return { ...place, poi: best ? best.title : null };
+}
+
+// Trips of one device overlapping [from, to], newest first. Segmentation always runs
+// over the whole retained history so trip ids and bounds do not depend on the query.
+function findTrips(deviceId, from = null, to = null) {
+    const points = queryHistory(null, null, deviceId).filter(p => p.fix && p.lat !== null && p.lng !== null);
+    const trips = segmentTrips(deviceId, points, {
+        stopSeconds: TRIP_STOP_SECONDS,
+        stopSpeed: TRIP_STOP_SPEED,
+        minDistance: TRIP_MIN_DISTANCE
+    });
+    return {
+        points,
+        trips: trips.filter(trip =>
+            (from === null || new Date(trip.end.timestamp).getTime() >= from) &&
+            (to === null || new Date(trip.start.timestamp).getTime() <= to)).reverse()
+    };
+}
+
+function publicTrip(trip, pois, zones) {
+    const { firstIndex, lastIndex, ...summary } = trip;
+    // A place inside a privacy zone is not labelled, or the label would name it
+    const place = p => findPrivacyZone(p, zones) ? { ...applyPrivacy(p, zones), poi: null } : describePlace(p, pois);
+    return {
+        ...summary,
+        start: place(trip.start),
+        end: place(trip.end)
+    };
+}
+
+app.get("/api/trips", requireViewer(false), (req, res) => {
+    const from = parseTimeParam(req.query.from);
+    const to = parseTimeParam(req.query.to);
+    if (Number.isNaN(from) || Number.isNaN(to)) {
+        return res.status(400).json({ error: "Invalid from/to, use ISO 8601 or epoch milliseconds" });
+    }
+    if (from !== null && to !== null && from > to) {
+        return res.status(400).json({ error: "from must be before to" });
+    }
+
+    let limit = 50;
+    if (typeof req.query.limit !== 'undefined') {
+        limit = parseInt(req.query.limit);
+        if (!Number.isInteger(limit) || limit < 1) {
+            return res.status(400).json({ error: "limit must be a positive integer" });
+        }
+    }
+
+    const devices = req.query.device
+        ? [req.query.device]
+        : [...new Set([...Object.keys(loadDeviceStates()), ...Object.keys(loadDeviceRegistry())])];
+    const pois = loadPOIData();
+    const zones = viewerPrivacyZones(req);
+    const trips = devices
+        .flatMap(device => findTrips(device, from, to).trips)
+        .sort((a, b) => b.start.timestamp.localeCompare(a.start.timestamp));
+    res.json({
+        total: trips.length,
+        trips: trips.slice(0, limit).map(trip => publicTrip(trip, pois, zones))
+    });
+});
+
+app.get("/api/trips/:id", requireViewer(false), (req, res) => {
+    // Ids are "<device>-<start epoch ms>"; device ids may contain dashes themselves
+    const match = req.params.id.match(/^(.+)-(\d+)$/);
+    if (!match) return res.status(404).json({ error: "Trip not found" });
+
+    const { points, trips } = findTrips(match[1]);
+    const trip = trips.find(t => t.id === req.params.id);
+    if (!trip) return res.status(404).json({ error: "Trip not found" });
+
+    const zones = viewerPrivacyZones(req);
+    const tripPoints = points.slice(trip.firstIndex, trip.lastIndex + 1)
+        .map(p => applyPrivacy(p, zones))
+        .filter(p => p.lat !== null);
+    res.json({
+        ...publicTrip(trip, loadPOIData(), zones),
+        points: downsamplePoints(tripPoints, HISTORY_MAX_LIMIT)
+    });
+});
+
+/*
+ Geofence structure (geofences.json holds an array):
+ {
+     id: Number,
+     name: String,
+     type: "circle"|"polygon",
+     center: { lat, lng },   // circle only
+     radius: Number,         // circle only, meters
+     points: [[lat, lng]],   // polygon only, at least 3 vertices
+     color: String,          // #RRGGBB
+     speedLimit: Number      // optional, km/h while inside the fence
+ }
+
+ Geofence event structure (geofence-events.json holds the newest EVENT_LOG_MAX):
+ {
+     timestamp: ISOString,
+     device: String,
+     fenceId: Number,
+     fenceName: String,
+     type: "enter"|"exit",
+     lat, lng: Number        // fix that triggered the event
+ }
+*/
+
+function loadGeofences() {
+    return storage.load("geofences", []);
+}
+
+function saveGeofences(fences) {
+    return storage.save("geofences", fences);
+}
+
+// Event logs are arrays in their own store, oldest first, capped at EVENT_LOG_MAX entries
+function loadEventLog(log) {
+    return storage.load(log, []);
+}
+
+function appendEventLog(log, events) {
+    storage.saveLater(log, [...loadEventLog(log), ...events].slice(-EVENT_LOG_MAX));
+}
+
+// Newest-first slice of an event log, optionally for one device
+function queryEventLog(log, query) {
+    let events = loadEventLog(log);
+    if (query.device) events = events.filter(e => e.device === query.device);
+    const limit = Math.min(parseInt(query.limit) || 50, EVENT_LOG_MAX);
+    return events.slice(-limit).reverse();
+}
+
+function isValidLatLng(lat, lng) {
+    return typeof lat === 'number' && typeof lng === 'number' &&
+        lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+}
+
+// Returns an error message, or null when the fence is valid
+function validateGeofence(fence) {
+    if (!fence || typeof fence !== 'object') return "Body must be a JSON object";
+    if (typeof fence.name !== 'string' || !fence.name.trim()) return "name is required";
+    if (typeof fence.color !== 'undefined' && !/^#[0-9A-Fa-f]{6}$/.test(fence.color)) {
+        return "color must be a #RRGGBB hex color";
+    }
+    if (typeof fence.speedLimit !== 'undefined' && fence.speedLimit !== null &&
+        (typeof fence.speedLimit !== 'number' || !(fence.speedLimit > 0))) {
+        return "speedLimit must be a positive number of km/h";
+    }
+    if (fence.type === 'circle') {
+        if (!fence.center || !isValidLatLng(fence.center.lat, fence.center.lng)) {
+            return "center must be { lat, lng } within valid ranges";
+        }
+        if (typeof fence.radius !== 'number' || !(fence.radius > 0)) {
+            return "radius must be a positive number of meters";
+        }
+    } else if (fence.type === 'polygon') {
+        if (!Array.isArray(fence.points) || fence.points.length < 3) {
+            return "points must be an array of at least 3 [lat, lng] pairs";
+        }
+        for (const point of fence.points) {
+            if (!Array.isArray(point) || !isValidLatLng(point[0], point[1])) {
+                return "points must be an array of at least 3 [lat, lng] pairs";
+            }
+        }
+    } else {
+        return "type must be circle or polygon";
+    }
+    return null;
+}
+
+// Keeps only the fields that belong to the fence type
+function normalizeGeofence(id, fence) {
+    const result = {
+        id,
+        name: fence.name.trim(),
+        type: fence.type,
+        color: fence.color || "#356ac3",
+        ...(fence.speedLimit ? { speedLimit: fence.speedLimit } : {})
+    };
+    if (fence.type === 'circle') {
+        result.center = { lat: fence.center.lat, lng: fence.center.lng };
+        result.radius = fence.radius;
+    } else {
+        result.points = fence.points.map(p => [p[0], p[1]]);
+    }
+    return result;
+}
+
+function isInsideGeofence(fence, point) {
+    if (fence.type === 'circle') {
+        return haversineMeters(fence.center, point) <= fence.radius;
+    }
+    return pointInPolygon(point, fence.points);
+}
+
+// Compares a device's new fix against every fence and records enter/exit transitions
+function checkGeofences(state, now) {
+    const fences = loadGeofences();
+    const inside = fences.filter(f => isInsideGeofence(f, state)).map(f => f.id);
+
+    // First fix after startup or upgrade: take the current state as the baseline
+    if (!Array.isArray(state.insideGeofences)) {
+        state.insideGeofences = inside;
+        return;
+    }
+
+    const previous = state.insideGeofences.filter(id => fences.some(f => f.id === id));
+    const events = [];
+    for (const fence of fences) {
+        const was = previous.includes(fence.id);
+        const is = inside.includes(fence.id);
+        if (was === is) continue;
+        events.push({
+            timestamp: now,
+            device: state.device,
+            fenceId: fence.id,
+            fenceName: fence.name,
+            type: is ? 'enter' : 'exit',
+            lat: state.lat,
+            lng: state.lng
+        });
+    }
+    state.insideGeofences = inside;
 
-let latestGPSData = null; // Will store extended structure
+    if (events.length > 0) {
+        appendEventLog(GEOFENCE_EVENTS_LOG, events);
+        events.forEach(event => {
+            console.log(`Geofence ${event.type}: ${event.device} ${event.type === 'enter' ? 'entered' : 'left'} "${event.fenceName}"`);
+            broadcastEvent('geofence', event);
+        });
+    }
+}
 
 /*
- Extended latestGPSData structure:
+ Speed violation structure (speed-violations.json holds the newest EVENT_LOG_MAX):
  {
-     lat: Number,
-     lng: Number,
-     speed: Number,
-     alt: Number,
-     fix: Boolean,           // whether the latest packet had a GPS fix
-     sats: Number|null,      // satellites from latest packet if no fix (or with fix if provided)
-     hdop: Number|null,      // hdop from latest packet if provided
-     lastPacketTimestamp: ISOString, // when any packet (fix or no-fix) was received
-     lastFixTimestamp: ISOString|null, // when last valid fix was received
-     timestamp: ISOString    // kept for backwards compat (same as lastFixTimestamp when fix=true else still previous fix time)
+     device: String,
+     start: ISOString,       // first fix above the limit
+     end: ISOString,         // first fix back under the limit (or in another zone)
+     duration: Number,       // seconds
+     peakSpeed: Number,      // km/h
+     limit: Number,          // km/h limit that was exceeded
+     zoneId: Number|null,    // geofence whose speedLimit applied, null for the global limit
+     zoneName: String|null,
+     lat, lng: Number        // where the peak speed was recorded
  }
 */
 
-function loadPOIData() {
-    try {
-        if (fs.existsSync(POI_FILE)) {
-            return JSON.parse(fs.readFileSync(POI_FILE, "utf8"));
+// Lowest speedLimit of the fences containing the fix, else the global limit from config.json
+function getSpeedLimit(state) {
+    const inside = state.insideGeofences || [];
+    let zone = null;
+    for (const fence of loadGeofences()) {
+        if (fence.speedLimit && inside.includes(fence.id) && (!zone || fence.speedLimit < zone.speedLimit)) {
+            zone = fence;
         }
-    } catch (error) {
-        console.error('Error loading POI data:', error);
     }
-    return [];
+    if (zone) return { value: zone.speedLimit, zoneId: zone.id, zoneName: zone.name };
+
+    const global = loadConfig()?.alerts?.speedLimit;
+    return global > 0 ? { value: global, zoneId: null, zoneName: null } : null;
 }
 
-function saveLatestGPS(packet) {
-    const now = new Date().toISOString();
+// Tracks speeding stretches per device and logs each one once it ends
+function checkOverspeed(state, now) {
+    const limit = getSpeedLimit(state);
+    const over = limit !== null && typeof state.speed === 'number' && state.speed > limit.value;
+    const active = state.overspeed || null;
 
-    // Initialize object if first time
-    if (!latestGPSData) {
-        latestGPSData = {
-            lat: null,
-            lng: null,
-            speed: null,
-            alt: null,
-            fix: false,
-            sats: null,
-            hdop: null,
-            lastPacketTimestamp: now,
-            lastFixTimestamp: null,
-            timestamp: null
+    if (active && (!over || active.zoneId !== limit.zoneId)) {
+        const violation = {
+            device: state.device,
+            start: active.start,
+            end: now,
+            duration: Math.round((new Date(now) - new Date(active.start)) / 1000),
+            peakSpeed: active.peakSpeed,
+            limit: active.limit,
+            zoneId: active.zoneId,
+            zoneName: active.zoneName,
+            lat: active.lat,
+            lng: active.lng
         };
+        appendEventLog(SPEED_VIOLATIONS_LOG, [violation]);
+        console.log(`Overspeed: ${state.device} peaked at ${violation.peakSpeed} km/h (limit ${violation.limit}) for ${violation.duration}s`);
+        broadcastEvent('overspeed', { ...violation, active: false });
+        state.overspeed = null;
     }
 
-    const { fix, lat, lng, speed, alt, sats, hdop } = packet;
+    if (!over) {
+        state.overspeed = null;
+    } else if (!state.overspeed) {
+        state.overspeed = {
+            start: now,
+            peakSpeed: state.speed,
+            limit: limit.value,
+            zoneId: limit.zoneId,
+            zoneName: limit.zoneName,
+            lat: state.lat,
+            lng: state.lng
+        };
+        broadcastEvent('overspeed', { device: state.device, ...state.overspeed, active: true });
+    } else if (state.speed > state.overspeed.peakSpeed) {
+        Object.assign(state.overspeed, { peakSpeed: state.speed, lat: state.lat, lng: state.lng });
+    }
+}
+
+app.get("/api/speed-violations", requireViewer(false), (req, res) => {
+    // Ongoing violations are not logged yet; they are on each device's latest state
+    const zones = viewerPrivacyZones(req);
+    res.json(queryEventLog(SPEED_VIOLATIONS_LOG, req.query).filter(e => filterPrivateEvent(e, zones)));
+});
 
-    latestGPSData.lastPacketTimestamp = now;
-    latestGPSData.fix = !!fix;
-    if (typeof sats !== 'undefined') latestGPSData.sats = sats;
-    if (typeof hdop !== 'undefined') latestGPSData.hdop = hdop;
+app.get("/api/geofences", requireViewer(true), (req, res) => {
+    res.json(loadGeofences());
+});
 
-    if (fix) {
-        // Update positional data only on a valid fix
-        latestGPSData.lat = lat;
-        latestGPSData.lng = lng;
-        latestGPSData.speed = speed;
-        latestGPSData.alt = alt;
-        latestGPSData.lastFixTimestamp = now;
-        latestGPSData.timestamp = now; // maintain previous field for compatibility
+app.get("/api/geofences/events", requireViewer(false), (req, res) => {
+    const zones = viewerPrivacyZones(req);
+    res.json(queryEventLog(GEOFENCE_EVENTS_LOG, req.query).filter(e => filterPrivateEvent(e, zones)));
+});
+
+app.post("/api/geofences", requireScope("admin"), (req, res) => {
+    const error = validateGeofence(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const fences = loadGeofences();
+    const id = fences.reduce((max, f) => Math.max(max, f.id), 0) + 1;
+    const fence = normalizeGeofence(id, req.body);
+    fences.push(fence);
+    if (!saveGeofences(fences)) {
+        return res.status(500).json({ error: "Failed to save geofence" });
     }
+    broadcastEvent('geofences', { id });
+    res.status(201).json(fence);
+});
 
-    try {
-        fs.writeFileSync(GPS_DATA_FILE, JSON.stringify(latestGPSData, null, 2));
-    } catch (error) {
-        console.error('Error saving GPS data:', error);
+app.put("/api/geofences/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const fences = loadGeofences();
+    const idx = fences.findIndex(f => f.id === id);
+    if (idx < 0) return res.status(404).json({ error: "Geofence not found" });
+
+    const error = validateGeofence(req.body);
+    if (error) return res.status(400).json({ error });
+
+    fences[idx] = normalizeGeofence(id, req.body);
+    if (!saveGeofences(fences)) {
+        return res.status(500).json({ error: "Failed to save geofence" });
     }
-}
+    broadcastEvent('geofences', { id });
+    res.json(fences[idx]);
+});
+
+app.delete("/api/geofences/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const fences = loadGeofences();
+    const remaining = fences.filter(f => f.id !== id);
+    if (remaining.length === fences.length) {
+        return res.status(404).json({ error: "Geofence not found" });
+    }
+    if (!saveGeofences(remaining)) {
+        return res.status(500).json({ error: "Failed to save geofence" });
+    }
+    broadcastEvent('geofences', { id });
+    res.json(remaining);
+});
+
+app.get("/api/privacy-zones", requireScope("admin"), (req, res) => {
+    res.json(loadPrivacyZones());
+});
 
-function loadLatestGPS() {
-    if (latestGPSData) return latestGPSData;
+app.post("/api/privacy-zones", requireScope("admin"), (req, res) => {
+    const error = validatePrivacyZone(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const zones = loadPrivacyZones();
+    const zone = normalizePrivacyZone(zones.reduce((max, z) => Math.max(max, z.id), 0) + 1, req.body);
+    zones.push(zone);
+    if (!savePrivacyZones(zones)) {
+        return res.status(500).json({ error: "Failed to save privacy zone" });
+    }
+    res.status(201).json(zone);
+});
+
+app.put("/api/privacy-zones/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const zones = loadPrivacyZones();
+    const index = zones.findIndex(z => z.id === id);
+    if (index === -1) return res.status(404).json({ error: "Privacy zone not found" });
+
+    const error = validatePrivacyZone(req.body);
+    if (error) return res.status(400).json({ error });
+
+    zones[index] = normalizePrivacyZone(id, req.body);
+    if (!savePrivacyZones(zones)) {
+        return res.status(500).json({ error: "Failed to save privacy zone" });
+    }
+    res.json(zones[index]);
+});
+
+app.delete("/api/privacy-zones/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const zones = loadPrivacyZones();
+    const remaining = zones.filter(z => z.id !== id);
+    if (remaining.length === zones.length) {
+        return res.status(404).json({ error: "Privacy zone not found" });
+    }
+    if (!savePrivacyZones(remaining)) {
+        return res.status(500).json({ error: "Failed to save privacy zone" });
+    }
+    res.json(remaining);
+});
+
+// Returns an error message, or null when the webhook is valid
+function validateWebhook(hook) {
+    if (!hook || typeof hook !== 'object') return "Body must be a JSON object";
+    let url;
     try {
-        if (fs.existsSync(GPS_DATA_FILE)) {
-            const raw = JSON.parse(fs.readFileSync(GPS_DATA_FILE, "utf8"));
-            // Detect old format (no fix field)
-            if (raw && typeof raw.fix === 'undefined') {
-                latestGPSData = {
-                    lat: raw.lat ?? null,
-                    lng: raw.lng ?? null,
-                    speed: raw.speed ?? null,
-                    alt: raw.alt ?? null,
-                    fix: true, // assume it was a fix snapshot
-                    sats: null,
-                    hdop: null,
-                    lastPacketTimestamp: raw.timestamp || new Date().toISOString(),
-                    lastFixTimestamp: raw.timestamp || null,
-                    timestamp: raw.timestamp || null
-                };
-            } else {
-                latestGPSData = raw;
-            }
-            return latestGPSData;
-        }
+        url = new URL(hook.url);
     } catch (error) {
-        console.error('Error loading GPS data:', error);
+        return "url must be an absolute http(s) URL";
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') return "url must be an absolute http(s) URL";
+    if (typeof hook.secret !== 'undefined' && hook.secret !== null && typeof hook.secret !== 'string') {
+        return "secret must be a string";
     }
+    if (typeof hook.events !== 'undefined') {
+        if (!Array.isArray(hook.events)) return "events must be an array";
+        const unknown = hook.events.filter(e => !WEBHOOK_EVENTS.includes(e));
+        if (unknown.length > 0) return `Unknown events: ${unknown.join(', ')}`;
+    }
+    if (typeof hook.enabled !== 'undefined' && typeof hook.enabled !== 'boolean') return "enabled must be a boolean";
     return null;
 }
 
-function loadWifiList() {
-    if (!fs.existsSync(WIFI_FILE)) return [];
-    return JSON.parse(fs.readFileSync(WIFI_FILE, "utf8"));
+// Secrets are write-only: responses only say whether one is set
+function publicWebhook(hook) {
+    const { secret, ...rest } = hook;
+    return { ...rest, hasSecret: !!secret };
 }
 
-function saveWifiList(list) {
-    fs.writeFileSync(WIFI_FILE, JSON.stringify(list, null, 2));
-}
+app.get("/api/webhooks", requireScope("admin"), (req, res) => {
+    res.json({
+        events: WEBHOOK_EVENTS,
+        pendingRetries: pendingWebhookCount(),
+        webhooks: loadWebhooks().map(publicWebhook)
+    });
+});
+
+app.post("/api/webhooks", requireScope("admin"), (req, res) => {
+    const error = validateWebhook(req.body);
+    if (error) return res.status(400).json({ error });
 
-function checkKey(req, res, next) {
-    if (req.query.key !== process.env.API_KEY) {
-        return res.status(403).send("Invalid key");
+    const hooks = loadWebhooks();
+    const hook = {
+        id: hooks.reduce((max, h) => Math.max(max, h.id), 0) + 1,
+        url: req.body.url,
+        secret: req.body.secret || "",
+        events: req.body.events || [],
+        enabled: req.body.enabled !== false
+    };
+    hooks.push(hook);
+    if (!saveWebhooks(hooks)) {
+        return res.status(500).json({ error: "Failed to save webhook" });
     }
-    next();
-}
+    res.status(201).json(publicWebhook(hook));
+});
 
-app.get("/receivedata", checkKey, (req, res) => {
-    const { lat, lng, speed, alt, fix, sats, hdop } = req.query;
+app.put("/api/webhooks/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const hooks = loadWebhooks();
+    const hook = hooks.find(h => h.id === id);
+    if (!hook) return res.status(404).json({ error: "Webhook not found" });
 
-    const isFix = fix === 'true' || fix === '1';
+    const error = validateWebhook(req.body);
+    if (error) return res.status(400).json({ error });
 
-    if (isFix) {
-        console.log("GPS FIX received:");
-        console.log("Latitude:", lat);
-        console.log("Longitude:", lng);
-        console.log("Speed:", speed, "km/h");
-        console.log("Altitude:", alt, "m");
-    } else {
-        console.log("NO FIX packet received:");
-        console.log("Satellites:", sats);
-        console.log("HDOP:", hdop);
+    hook.url = req.body.url;
+    // Omitting the secret keeps the current one; an empty string clears it
+    if (typeof req.body.secret === 'string') hook.secret = req.body.secret;
+    hook.events = req.body.events || [];
+    hook.enabled = req.body.enabled !== false;
+    if (!saveWebhooks(hooks)) {
+        return res.status(500).json({ error: "Failed to save webhook" });
     }
-    console.log("Fix flag:", isFix);
-    console.log("---------------------");
+    res.json(publicWebhook(hook));
+});
 
-    const packet = {
-        fix: isFix,
-        lat: isFix ? parseFloat(lat) : latestGPSData?.lat ?? null,
-        lng: isFix ? parseFloat(lng) : latestGPSData?.lng ?? null,
-        speed: isFix ? parseFloat(speed) : latestGPSData?.speed ?? null,
-        alt: isFix ? parseFloat(alt) : latestGPSData?.alt ?? null,
-        sats: typeof sats !== 'undefined' ? (sats === '' ? null : parseInt(sats)) : undefined,
-        hdop: typeof hdop !== 'undefined' ? (hdop === '' ? null : parseFloat(hdop)) : undefined
+app.delete("/api/webhooks/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const hooks = loadWebhooks();
+    const remaining = hooks.filter(h => h.id !== id);
+    if (remaining.length === hooks.length) {
+        return res.status(404).json({ error: "Webhook not found" });
+    }
+    if (!saveWebhooks(remaining)) {
+        return res.status(500).json({ error: "Failed to save webhook" });
+    }
+    res.json(remaining.map(publicWebhook));
+});
+
+app.post("/api/webhooks/:id/test", requireScope("admin"), async (req, res) => {
+    const id = parseInt(req.params.id);
+    const hook = loadWebhooks().find(h => h.id === id);
+    if (!hook) return res.status(404).json({ error: "Webhook not found" });
+
+    const [delivered] = await dispatchWebhookEvent([{ ...hook, enabled: true }], 'test', {
+        message: "Test event from ESP32 GPS Follower"
+    });
+    res.json({ delivered, retrying: !delivered });
+});
+
+app.get("/api/keys", requireScope("admin"), (req, res) => {
+    res.json({
+        scopes: KEY_SCOPES,
+        current: req.apiKey,
+        keys: loadApiKeys().map(publicApiKey)
+    });
+});
+
+app.post("/api/keys", requireScope("admin"), (req, res) => {
+    const error = validateApiKey(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const keys = loadApiKeys();
+    const key = generateApiKey();
+    const entry = {
+        id: keys.reduce((max, k) => Math.max(max, k.id), 0) + 1,
+        name: req.body.name.trim(),
+        prefix: key.slice(0, 10),
+        hash: hashApiKey(key),
+        scopes: [...new Set(req.body.scopes)],
+        createdAt: new Date().toISOString(),
+        rotatedAt: null,
+        expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt).toISOString() : null,
+        revokedAt: null,
+        lastUsedAt: null
     };
+    keys.push(entry);
+    if (!saveApiKeys(keys)) {
+        return res.status(500).json({ error: "Failed to save API key" });
+    }
+    // The only time the key itself is returned
+    res.status(201).json({ ...publicApiKey(entry), key });
+});
 
-    saveLatestGPS(packet);
+// Issues a new secret for the same name, scopes and expiry; the old one stops working at once
+app.post("/api/keys/:id/rotate", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const keys = loadApiKeys();
+    const entry = keys.find(k => k.id === id);
+    if (!entry) return res.status(404).json({ error: "API key not found" });
+    if (entry.revokedAt) return res.status(409).json({ error: "Revoked keys cannot be rotated" });
 
-    res.json({ status: 'ok', fix: isFix });
+    const key = generateApiKey();
+    entry.prefix = key.slice(0, 10);
+    entry.hash = hashApiKey(key);
+    entry.rotatedAt = new Date().toISOString();
+    entry.lastUsedAt = null;
+    if (!saveApiKeys(keys)) {
+        return res.status(500).json({ error: "Failed to save API key" });
+    }
+    // The old key no longer works, so neither do streams opened with it
+    closeKeyStreams(id);
+    res.json({ ...publicApiKey(entry), key });
 });
 
-app.get("/api/latest-gps", (req, res) => {
-    const data = loadLatestGPS();
-    if (data) {
-        res.json(data);
-    } else {
-        res.status(404).json({ error: "No GPS data available" });
+// Revoked keys stay listed for reference
+app.delete("/api/keys/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const keys = loadApiKeys();
+    const entry = keys.find(k => k.id === id);
+    if (!entry) return res.status(404).json({ error: "API key not found" });
+    if (req.apiKey.id === id) {
+        return res.status(409).json({ error: "Cannot revoke the key used for this request" });
+    }
+
+    entry.revokedAt = entry.revokedAt || new Date().toISOString();
+    if (!saveApiKeys(keys)) {
+        return res.status(500).json({ error: "Failed to save API key" });
+    }
+    closeKeyStreams(id);
+    res.json(keys.map(publicApiKey));
+});
+
+app.get("/api/shares", requireScope("admin"), (req, res) => {
+    res.json({
+        fields: SHARE_FIELDS,
+        shares: loadShares().map(publicShare)
+    });
+});
+
+app.post("/api/shares", requireScope("admin"), (req, res) => {
+    const error = validateShare(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const shares = loadShares();
+    const token = crypto.randomBytes(18).toString("base64url");
+    const isoOrNull = value => value ? new Date(value).toISOString() : null;
+    const share = {
+        id: shares.reduce((max, s) => Math.max(max, s.id), 0) + 1,
+        name: req.body.name.trim(),
+        prefix: token.slice(0, 6),
+        hash: hashApiKey(token),
+        devices: req.body.devices || null,
+        fields: req.body.fields || null,
+        windowFrom: isoOrNull(req.body.windowFrom),
+        windowTo: isoOrNull(req.body.windowTo),
+        createdAt: new Date().toISOString(),
+        expiresAt: isoOrNull(req.body.expiresAt),
+        revokedAt: null
+    };
+    shares.push(share);
+    if (!saveShares(shares)) {
+        return res.status(500).json({ error: "Failed to save share link" });
+    }
+    // The only time the token is returned
+    res.status(201).json({ ...publicShare(share), token, url: `/?share=${token}` });
+});
+
+app.delete("/api/shares/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const shares = loadShares();
+    const share = shares.find(s => s.id === id);
+    if (!share) return res.status(404).json({ error: "Share link not found" });
+
+    share.revokedAt = share.revokedAt || new Date().toISOString();
+    if (!saveShares(shares)) {
+        return res.status(500).json({ error: "Failed to save share link" });
     }
+    closeShareStreams(id);
+    res.json(shares.map(publicShare));
 });
 
 app.get("/api/poi", (req, res) => {
@@ -191,25 +2340,235 @@ app.get("/api/poi", (req, res) => {
     res.json(pois);
 });
 
-function loadConfig() {
-    try {
-        if (fs.existsSync(CONFIG_FILE)) {
-            return JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+// Returns an error message, or null when the POI is valid
+function validatePOI(poi) {
+    if (!poi || typeof poi !== 'object') return "Body must be a JSON object";
+    if (typeof poi.title !== 'string' || !poi.title.trim()) return "title is required";
+    if (typeof poi.latitude !== 'number' || poi.latitude < -90 || poi.latitude > 90) {
+        return "latitude must be a number between -90 and 90";
+    }
+    if (typeof poi.longitude !== 'number' || poi.longitude < -180 || poi.longitude > 180) {
+        return "longitude must be a number between -180 and 180";
+    }
+    if (typeof poi.color !== 'undefined' && !/^#[0-9A-Fa-f]{6}$/.test(poi.color)) {
+        return "color must be a #RRGGBB hex color";
+    }
+    for (const field of ['description', 'category', 'icon']) {
+        if (typeof poi[field] !== 'undefined' && typeof poi[field] !== 'string') {
+            return `${field} must be a string`;
         }
-    } catch (error) {
-        console.error('Error loading config:', error);
+    }
+    if (typeof poi.icon === 'string' && poi.icon.length > 8) return "icon must be a short string";
+    if (typeof poi.arrivalRadius !== 'undefined' && poi.arrivalRadius !== null &&
+        (typeof poi.arrivalRadius !== 'number' || !(poi.arrivalRadius > 0))) {
+        return "arrivalRadius must be a positive number of meters";
     }
     return null;
 }
 
+function normalizePOI(id, poi) {
+    return {
+        id,
+        title: poi.title.trim(),
+        description: poi.description || "",
+        latitude: poi.latitude,
+        longitude: poi.longitude,
+        category: poi.category || "other",
+        icon: poi.icon || "📍",
+        color: poi.color || "#356ac3",
+        ...(poi.arrivalRadius ? { arrivalRadius: poi.arrivalRadius } : {})
+    };
+}
+
+/*
+ POI event structure (poi-events.json holds the newest EVENT_LOG_MAX):
+ {
+     timestamp: ISOString,
+     device: String,
+     poiId: Number,
+     poiTitle: String,
+     type: "arrival"|"departure",
+     distance: Number        // meters from the POI at the triggering fix
+ }
+*/
+
+// Finds the nearest POI for a fix and records arrivals/departures for POIs with an arrivalRadius
+function checkPOIProximity(state, now) {
+    const pois = loadPOIData();
+    let nearest = null;
+    const at = [];
+
+    for (const poi of pois) {
+        const target = { lat: poi.latitude, lng: poi.longitude };
+        const distance = haversineMeters(state, target);
+        if (!nearest || distance < nearest.distance) {
+            nearest = {
+                id: poi.id,
+                title: poi.title,
+                icon: poi.icon,
+                distance: Math.round(distance),
+                bearing: Math.round(bearingDegrees(state, target))
+            };
+        }
+        if (poi.arrivalRadius && distance <= poi.arrivalRadius) {
+            at.push({ poi, distance });
+        }
+    }
+    state.nearestPOI = nearest;
+
+    const atIds = at.map(a => a.poi.id);
+    // First fix after startup or upgrade: take the current state as the baseline
+    if (!Array.isArray(state.atPOIs)) {
+        state.atPOIs = atIds;
+        return;
+    }
+
+    const events = [];
+    for (const { poi, distance } of at) {
+        if (state.atPOIs.includes(poi.id)) continue;
+        events.push({ timestamp: now, device: state.device, poiId: poi.id, poiTitle: poi.title, type: 'arrival', distance: Math.round(distance) });
+    }
+    for (const id of state.atPOIs) {
+        if (atIds.includes(id)) continue;
+        const poi = pois.find(p => p.id === id);
+        if (!poi) continue; // POI was deleted meanwhile
+        const distance = haversineMeters(state, { lat: poi.latitude, lng: poi.longitude });
+        events.push({ timestamp: now, device: state.device, poiId: poi.id, poiTitle: poi.title, type: 'departure', distance: Math.round(distance) });
+    }
+    state.atPOIs = atIds;
+
+    if (events.length > 0) {
+        appendEventLog(POI_EVENTS_LOG, events);
+        events.forEach(event => {
+            console.log(`POI ${event.type}: ${event.device} ${event.type === 'arrival' ? 'arrived at' : 'left'} "${event.poiTitle}"`);
+            broadcastEvent('poi', event);
+        });
+    }
+}
+
+app.get("/api/poi/events", requireViewer(false), (req, res) => {
+    const zones = viewerPrivacyZones(req);
+    res.json(queryEventLog(POI_EVENTS_LOG, req.query).filter(e => filterPrivateEvent(e, zones)));
+});
+
+app.post("/api/poi", requireScope("admin"), (req, res) => {
+    const error = validatePOI(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const pois = loadPOIData();
+    let id = req.body.id;
+    if (typeof id === 'undefined') {
+        id = pois.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+    } else if (!Number.isInteger(id) || id < 1) {
+        return res.status(400).json({ error: "id must be a positive integer" });
+    } else if (pois.some(p => p.id === id)) {
+        return res.status(409).json({ error: `A POI with id ${id} already exists` });
+    }
+
+    const poi = normalizePOI(id, req.body);
+    pois.push(poi);
+    if (!savePOIData(pois)) {
+        return res.status(500).json({ error: "Failed to save POI" });
+    }
+    broadcastEvent('pois', { id });
+    res.status(201).json(poi);
+});
+
+app.put("/api/poi/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const pois = loadPOIData();
+    const idx = pois.findIndex(p => p.id === id);
+    if (idx < 0) return res.status(404).json({ error: "POI not found" });
+
+    const error = validatePOI(req.body);
+    if (error) return res.status(400).json({ error });
+    if (typeof req.body.id !== 'undefined' && req.body.id !== id) {
+        return res.status(400).json({ error: "id in body does not match URL" });
+    }
+
+    pois[idx] = normalizePOI(id, req.body);
+    if (!savePOIData(pois)) {
+        return res.status(500).json({ error: "Failed to save POI" });
+    }
+    broadcastEvent('pois', { id });
+    res.json(pois[idx]);
+});
+
+app.delete("/api/poi/:id", requireScope("admin"), (req, res) => {
+    const id = parseInt(req.params.id);
+    const pois = loadPOIData();
+    const remaining = pois.filter(p => p.id !== id);
+    if (remaining.length === pois.length) {
+        return res.status(404).json({ error: "POI not found" });
+    }
+    if (!savePOIData(remaining)) {
+        return res.status(500).json({ error: "Failed to save POI" });
+    }
+    broadcastEvent('pois', { id });
+    res.json(remaining);
+});
+
+function loadConfig() {
+    return storage.load("config", null);
+}
+
 function saveConfig(config) {
-    try {
-        fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
-        return true;
-    } catch (error) {
-        console.error('Error saving config:', error);
-        return false;
+    return storage.save("config", config);
+}
+
+/*
+ Config version structure (config-history.json holds an array, oldest first):
+ {
+     version: Number,          // increases by one per save, never reused
+     savedAt: ISO String,
+     author: { id, name },     // the API key that saved it; id null for API_KEY from .env
+     rolledBackFrom: Number,   // set when the save restored an older version
+     config: Object            // the full config.json content
+ }
+*/
+
+function loadConfigHistory() {
+    return storage.load("config-history", []);
+}
+
+function saveConfigHistory(history) {
+    return storage.save("config-history", history);
+}
+
+// Saves the config and records it as a new version; returns the version, or null on failure
+function saveConfigVersion(config, apiKey, rolledBackFrom = null) {
+    const history = loadConfigHistory();
+    const previous = loadConfig();
+    if (history.length === 0 && previous) {
+        // Keep the config from before versioning existed, so the first save can be undone
+        history.push({ version: 1, savedAt: null, author: null, rolledBackFrom: null, config: previous });
+    }
+
+    if (!saveConfig(config)) return null;
+    const entry = {
+        version: history.length > 0 ? history[history.length - 1].version + 1 : 1,
+        savedAt: new Date().toISOString(),
+        author: apiKey ? { id: apiKey.id, name: apiKey.name } : null,
+        rolledBackFrom,
+        config
+    };
+    history.push(entry);
+    if (!saveConfigHistory(history.slice(-CONFIG_HISTORY_MAX))) {
+        // An unrecorded version could not be rolled back to; put the previous config back instead
+        console.error(`Config version ${entry.version} could not be recorded, restoring the previous config`);
+        if (previous) saveConfig(previous);
+        return null;
     }
+    return entry;
+}
+
+function findConfigVersion(history, version) {
+    return history.find(entry => entry.version === parseInt(version)) || null;
+}
+
+function publicConfigVersion(entry, current) {
+    const { config, ...summary } = entry;
+    return { ...summary, current: entry === current };
 }
 
 app.get("/api/config", (req, res) => {
@@ -221,24 +2580,65 @@ app.get("/api/config", (req, res) => {
     }
 });
 
-app.post("/api/config", checkKey, (req, res) => {
-    try {
-        const success = saveConfig(req.body);
-        if (success) {
-            res.json({ message: "Configuration updated successfully" });
-        } else {
-            res.status(500).json({ error: "Failed to save configuration" });
-        }
-    } catch (error) {
-        res.status(400).json({ error: "Invalid configuration data" });
+app.post("/api/config", requireScope("admin"), (req, res) => {
+    const errors = validateConfig(req.body);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: "Invalid configuration", details: errors });
+    }
+
+    const entry = saveConfigVersion(req.body, req.apiKey);
+    if (entry) {
+        res.json({ message: "Configuration updated successfully", version: entry.version });
+    } else {
+        res.status(500).json({ error: "Failed to save configuration" });
+    }
+});
+
+app.get("/api/config/versions", requireScope("admin"), (req, res) => {
+    const history = loadConfigHistory();
+    const current = history[history.length - 1];
+    res.json(history.map(entry => publicConfigVersion(entry, current)).reverse());
+});
+
+app.get("/api/config/versions/:version", requireScope("admin"), (req, res) => {
+    const entry = findConfigVersion(loadConfigHistory(), req.params.version);
+    if (!entry) return res.status(404).json({ error: "Config version not found" });
+    res.json(entry);
+});
+
+// Changes from version :version to ?to= (default: the current version)
+app.get("/api/config/versions/:version/diff", requireScope("admin"), (req, res) => {
+    const history = loadConfigHistory();
+    const from = findConfigVersion(history, req.params.version);
+    const to = req.query.to ? findConfigVersion(history, req.query.to) : history[history.length - 1];
+    if (!from || !to) return res.status(404).json({ error: "Config version not found" });
+
+    res.json({ from: from.version, to: to.version, changes: diffConfig(from.config, to.config) });
+});
+
+app.post("/api/config/versions/:version/rollback", requireScope("admin"), (req, res) => {
+    const entry = findConfigVersion(loadConfigHistory(), req.params.version);
+    if (!entry) return res.status(404).json({ error: "Config version not found" });
+
+    // Versions from before validation existed may not pass today's schema
+    const errors = validateConfig(entry.config);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: `Version ${entry.version} is not a valid configuration`, details: errors });
+    }
+
+    const saved = saveConfigVersion(entry.config, req.apiKey, entry.version);
+    if (saved) {
+        res.json({ message: `Rolled back to version ${entry.version}`, version: saved.version });
+    } else {
+        res.status(500).json({ error: "Failed to save configuration" });
     }
 });
 
-app.get("/wifi", checkKey, (req, res) => {
+app.get("/wifi", requireScope("wifi"), (req, res) => {
     res.json(loadWifiList());
 });
 
-app.put("/wifi", checkKey, (req, res) => {
+app.put("/wifi", requireScope("admin"), (req, res) => {
     const { ssid, password } = req.body;
     if (!ssid || !password) {
         return res.status(400).send("Missing ssid or password");
@@ -255,13 +2655,43 @@ app.put("/wifi", checkKey, (req, res) => {
     res.json(list);
 });
 
-app.delete("/wifi/:ssid", checkKey, (req, res) => {
+app.delete("/wifi/:ssid", requireScope("admin"), (req, res) => {
     let list = loadWifiList();
     list = list.filter(n => n.ssid !== req.params.ssid);
     saveWifiList(list);
     res.json(list);
 });
 
-app.listen(PORT, () => {
+loadDeviceStates();
+pruneHistory();
+setInterval(pruneHistory, 60 * 60 * 1000);
+
+setInterval(checkOfflineDevices, 15000);
+
+// Comment lines keep idle streams from being closed by proxies
+setInterval(() => {
+    for (const client of streamClients) {
+        // Expired links and keys are only noticed here, revoked ones when the revoke happens
+        if (!streamClientActive(client)) {
+            closeStream(client);
+        } else {
+            client.write(': ping\n\n');
+        }
+    }
+}, 25000);
+
+const server = app.listen(PORT, () => {
     console.log(`Server running at http://0.0.0.0:${PORT}`);
-});
\ No newline at end of file
+    console.log(`Storage backend: ${storage.name}`);
+});
+
+// Write queued state before exiting; open SSE streams would otherwise keep server.close() waiting
+function shutdown(signal) {
+    console.log(`${signal} received, writing pending state`);
+    server.close();
+    storage.close();
+    process.exit(0);
+}
+
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
\ No newline at end of file
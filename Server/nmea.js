@@ -0,0 +1,178 @@
+// NMEA 0183 parsing shared by the NMEA ingest endpoint and the simulator
+
+const FIX_TYPES = ["none", "2D", "3D", "DGPS"];
+
+// Checksum is the XOR of everything between '$' and '*'. A sentence without one may be cut
+// short or garbled, so it only passes when allowMissing is set.
+function nmeaChecksumValid(sentence, allowMissing = false) {
+    const star = sentence.indexOf('*');
+    if (star < 0) return allowMissing;
+    let sum = 0;
+    for (let i = 1; i < star; i++) sum ^= sentence.charCodeAt(i);
+    return sum === parseInt(sentence.slice(star + 1, star + 3), 16);
+}
+
+// ddmm.mmmm / dddmm.mmmm plus hemisphere to signed decimal degrees
+function nmeaCoordinate(value, hemisphere) {
+    if (!value) return null;
+    const dot = value.indexOf('.') < 0 ? value.length : value.indexOf('.');
+    const degrees = parseFloat(value.slice(0, dot - 2));
+    const minutes = parseFloat(value.slice(dot - 2));
+    const result = degrees + minutes / 60;
+    if (!Number.isFinite(result)) return null;
+    return hemisphere === 'S' || hemisphere === 'W' ? -result : result;
+}
+
+function nmeaNumber(value) {
+    if (!value) return null;
+    const number = parseFloat(value);
+    return Number.isFinite(number) ? number : null;
+}
+
+/*
+ Epoch structure (one per UTC time, merged from the sentences reported for it):
+ {
+     time: Number|null,      // epoch ms; null without a UTC time, date from the latest RMC
+     utc: String|null,       // hhmmss.ss as sent
+     fix: Boolean,
+     fixType: "none"|"2D"|"3D"|"DGPS"|null,
+     lat, lng: Number|null,
+     speed: Number|null,     // km/h
+     course: Number|null,    // degrees true
+     alt: Number|null,       // meters above mean sea level
+     sats: Number|null,      // satellites used in the fix
+     hdop, pdop, vdop: Number|null,
+     satellites: [{ system, prn, elevation, azimuth, snr }]|null // in view, snr in dB-Hz (null when not tracked)
+ }
+*/
+function createEpoch(utc) {
+    return {
+        time: null, utc, fix: false, fixType: null, lat: null, lng: null, speed: null, course: null,
+        alt: null, sats: null, hdop: null, pdop: null, vdop: null, satellites: null
+    };
+}
+
+/*
+ Parses RMC, GGA, GSA, VTG and GSV sentences from any talker ($GP, $GN, $GL, ...).
+ GSA, VTG and GSV carry no time, so they belong to the epoch of the RMC/GGA around them.
+ options.date (Date) supplies the day for logs without RMC sentences.
+ options.allowMissingChecksum accepts sentences without a *hh checksum (hand-written logs).
+ Returns { epochs, invalid } where invalid counts sentences with a bad or missing checksum.
+*/
+function parseNMEA(text, options = {}) {
+    const epochs = [];
+    let invalid = 0;
+    let current = null;
+    let date = null; // ddmmyy from the latest RMC
+
+    const flush = () => {
+        if (current) epochs.push(current);
+        current = null;
+    };
+
+    const toTime = (hhmmss) => {
+        if (!hhmmss) return null;
+        let day;
+        let month;
+        let year;
+        if (date) {
+            day = parseInt(date.slice(0, 2));
+            month = parseInt(date.slice(2, 4)) - 1;
+            year = parseInt(date.slice(4, 6));
+            year += year < 80 ? 2000 : 1900;
+        } else if (options.date) {
+            day = options.date.getUTCDate();
+            month = options.date.getUTCMonth();
+            year = options.date.getUTCFullYear();
+        } else {
+            return null;
+        }
+        const seconds = parseFloat(hhmmss.slice(4));
+        return Date.UTC(year, month, day,
+            parseInt(hhmmss.slice(0, 2)), parseInt(hhmmss.slice(2, 4)), 0) + Math.round(seconds * 1000);
+    };
+
+    for (const raw of text.split(/\r?\n/)) {
+        const line = raw.trim();
+        if (!line.startsWith('$')) continue;
+        if (!nmeaChecksumValid(line, options.allowMissingChecksum)) {
+            invalid++;
+            continue;
+        }
+
+        const fields = line.split('*')[0].split(',');
+        const type = fields[0].slice(3);
+
+        if (type === 'RMC' || type === 'GGA') {
+            const utc = fields[1] || null;
+            if (current && current.utc !== null && current.utc !== utc) flush();
+            if (!current) current = createEpoch(utc);
+            current.utc = utc;
+        } else if (['GSA', 'VTG', 'GSV'].includes(type)) {
+            if (!current) current = createEpoch(null);
+        } else {
+            continue;
+        }
+
+        switch (type) {
+            case 'RMC': {
+                date = fields[9] || date;
+                current.fix = current.fix || fields[2] === 'A';
+                current.lat = current.lat ?? nmeaCoordinate(fields[3], fields[4]);
+                current.lng = current.lng ?? nmeaCoordinate(fields[5], fields[6]);
+                // Empty or garbled fields keep what another sentence of the epoch reported
+                const knots = nmeaNumber(fields[7]);
+                if (knots !== null) current.speed = knots * 1.852; // knots -> km/h
+                current.course = nmeaNumber(fields[8]) ?? current.course;
+                break;
+            }
+            case 'GGA': {
+                const quality = parseInt(fields[6]) || 0;
+                current.fix = current.fix || quality > 0;
+                if (quality === 2) current.fixType = 'DGPS';
+                current.lat = nmeaCoordinate(fields[2], fields[3]) ?? current.lat;
+                current.lng = nmeaCoordinate(fields[4], fields[5]) ?? current.lng;
+                current.sats = nmeaNumber(fields[7]);
+                current.hdop = nmeaNumber(fields[8]);
+                current.alt = nmeaNumber(fields[9]);
+                break;
+            }
+            case 'GSA':
+                // Multi-constellation receivers send one GSA per system; they share the DOP values
+                if (current.fixType !== 'DGPS') current.fixType = FIX_TYPES[parseInt(fields[2]) - 1] || null;
+                current.pdop = nmeaNumber(fields[15]);
+                current.hdop = current.hdop ?? nmeaNumber(fields[16]);
+                current.vdop = nmeaNumber(fields[17]);
+                break;
+            case 'VTG':
+                current.course = nmeaNumber(fields[1]) ?? current.course;
+                current.speed = nmeaNumber(fields[7]) ?? current.speed;
+                break;
+            case 'GSV': {
+                current.satellites = current.satellites || [];
+                // Up to four satellites per sentence, after total, index and in-view count
+                for (let i = 4; i + 3 < fields.length && fields[i]; i += 4) {
+                    current.satellites.push({
+                        system: fields[0].slice(1, 3), // talker, PRNs repeat across constellations
+                        prn: nmeaNumber(fields[i]),
+                        elevation: nmeaNumber(fields[i + 1]),
+                        azimuth: nmeaNumber(fields[i + 2]),
+                        snr: nmeaNumber(fields[i + 3])
+                    });
+                }
+                break;
+            }
+        }
+        if (type === 'RMC' || type === 'GGA') current.time = toTime(current.utc);
+    }
+    flush();
+
+    // The 2D/3D distinction only comes from GSA; fill in a fix type for receivers without it
+    for (const epoch of epochs) {
+        if (!epoch.fix) epoch.fixType = 'none';
+        else if (!epoch.fixType || epoch.fixType === 'none') epoch.fixType = epoch.alt !== null ? '3D' : '2D';
+    }
+    return { epochs, invalid };
+}
+
+module.exports = { parseNMEA, nmeaChecksumValid, nmeaCoordinate };
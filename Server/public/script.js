@@ -68,22 +68,25 @@ class WiFiManager {
         }
 
         const url = new URL(endpoint, this.baseURL);
-        url.searchParams.append('key', this.apiKey);
 
         try {
             const response = await fetch(url, {
+                ...options,
                 headers: {
                     'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${this.apiKey}`,
                     ...options.headers
-                },
-                ...options
+                }
             });
 
             if (!response.ok) {
-                if (response.status === 403) {
+                if (response.status === 401) {
                     throw new Error('Invalid API key');
                 }
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                // Surface validation messages from the server
+                const body = await response.json().catch(() => null);
+                const detail = body?.details?.[0] ? ` (${body.details[0].path} ${body.details[0].message})` : '';
+                throw new Error(body?.error ? body.error + detail : `HTTP ${response.status}: ${response.statusText}`);
             }
 
             return await response.json();
@@ -286,7 +289,12 @@ class UIConfigManager {
         document.querySelectorAll('.tab-content').forEach(content => {
             content.classList.remove('active');
         });
-        document.getElementById(`${tabName}-tab`).classList.add('active');
+        const tab = document.getElementById(`${tabName}-tab`);
+        tab.classList.add('active');
+
+        // Standalone tabs save through their own API, not the config buttons
+        document.querySelector('.config-actions').style.display =
+            tab.classList.contains('standalone-tab') ? 'none' : '';
     }
 
     toggleCustomIconFields(show) {
@@ -326,6 +334,9 @@ class UIConfigManager {
         document.getElementById('customIconUrl').value = this.config.tracker?.customIconUrl || '';
         document.getElementById('iconWidth').value = this.config.tracker?.customIconSize?.[0] || 32;
         document.getElementById('iconHeight').value = this.config.tracker?.customIconSize?.[1] || 32;
+        document.getElementById('animateMarker').checked = this.config.tracker?.animateMarker !== false;
+        document.getElementById('rotateIcon').checked = this.config.tracker?.rotateIcon !== false;
+        document.getElementById('markerSmoothing').value = this.config.tracker?.smoothing || 'none';
 
         document.getElementById('showDataPanel').checked = this.config.ui?.dataPanel?.show !== false;
         
@@ -336,6 +347,7 @@ class UIConfigManager {
         document.getElementById('showAltitude').checked = popupData.showAltitude !== false;
         document.getElementById('showTimestamp').checked = popupData.showTimestamp !== false;
         document.getElementById('showDescription').checked = popupData.showDescription !== false;
+        document.getElementById('showNearestPOI').checked = popupData.showNearestPOI !== false;
 
         const labels = this.config.ui?.dataPanel?.labels || {};
         document.getElementById('latLabel').value = labels.latitude || 'Latitude:';
@@ -346,6 +358,13 @@ class UIConfigManager {
         document.getElementById('defaultZoom').value = this.config.map?.defaultZoom || 15;
         document.getElementById('zoomValue').textContent = this.config.map?.defaultZoom || 15;
         document.getElementById('updateInterval').value = this.config.api?.updateInterval || 2000;
+        document.getElementById('speedLimit').value = this.config.alerts?.speedLimit ?? '';
+
+        // Server defaults apply until the filter is saved once
+        const ingest = { maxHdop: 20, maxSpeed: 500, rejectNullIsland: true, ...this.config.ingest };
+        document.getElementById('ingestMaxHdop').value = ingest.maxHdop ?? '';
+        document.getElementById('ingestMaxSpeed').value = ingest.maxSpeed ?? '';
+        document.getElementById('ingestRejectNullIsland').checked = ingest.rejectNullIsland !== false;
     }
 
     collectFormData() {
@@ -390,6 +409,9 @@ class UIConfigManager {
                     parseInt(document.getElementById('iconHeight').value)
                 ],
                 defaultIconColor: "#3388ff",
+                animateMarker: document.getElementById('animateMarker').checked,
+                rotateIcon: document.getElementById('rotateIcon').checked,
+                smoothing: document.getElementById('markerSmoothing').value,
                 description: document.getElementById('trackerDescription').value,
                 popupData: {
                     showLatitude: document.getElementById('showLatitude').checked,
@@ -397,7 +419,8 @@ class UIConfigManager {
                     showSpeed: document.getElementById('showSpeed').checked,
                     showAltitude: document.getElementById('showAltitude').checked,
                     showTimestamp: document.getElementById('showTimestamp').checked,
-                    showDescription: document.getElementById('showDescription').checked
+                    showDescription: document.getElementById('showDescription').checked,
+                    showNearestPOI: document.getElementById('showNearestPOI').checked
                 }
             },
             poi: {
@@ -427,6 +450,14 @@ class UIConfigManager {
             api: {
                 updateInterval: parseInt(document.getElementById('updateInterval').value),
                 apiKey: "your-api-key-here"
+            },
+            alerts: {
+                speedLimit: parseFloat(document.getElementById('speedLimit').value) || null
+            },
+            ingest: {
+                maxHdop: parseFloat(document.getElementById('ingestMaxHdop').value) || null,
+                maxSpeed: parseFloat(document.getElementById('ingestMaxSpeed').value) || null,
+                rejectNullIsland: document.getElementById('ingestRejectNullIsland').checked
             }
         };
     }
@@ -439,18 +470,24 @@ class UIConfigManager {
 
         try {
             const configData = this.collectFormData();
-            const response = await fetch(`/api/config?key=${wifiManager.apiKey}`, {
+            const response = await fetch('/api/config', {
                 method: 'POST',
                 headers: {
-                    'Content-Type': 'application/json'
+                    'Content-Type': 'application/json',
+                    'Authorization': `Bearer ${wifiManager.apiKey}`
                 },
                 body: JSON.stringify(configData)
             });
 
+            const result = await response.json().catch(() => ({}));
             if (response.ok) {
-                this.showNotification('Configuration saved successfully! Refresh the tracker page to see changes.', 'success');
+                this.showNotification(`Configuration saved as version ${result.version}! Refresh the tracker page to see changes.`, 'success');
+            } else if (result.details) {
+                // Field-level schema errors, e.g. "map.defaultZoom must be an integer between 1 and 19"
+                const fields = result.details.slice(0, 3).map(d => `${d.path} ${d.message}`).join('; ');
+                this.showNotification(`Configuration not saved: ${fields}`, 'error');
             } else {
-                this.showNotification('Failed to save configuration', 'error');
+                this.showNotification(result.error || 'Failed to save configuration', 'error');
             }
         } catch (error) {
             console.error('Error saving config:', error);
@@ -470,6 +507,9 @@ class UIConfigManager {
             document.getElementById('customIconUrl').value = '';
             document.getElementById('iconWidth').value = 32;
             document.getElementById('iconHeight').value = 32;
+            document.getElementById('animateMarker').checked = true;
+            document.getElementById('rotateIcon').checked = true;
+            document.getElementById('markerSmoothing').value = 'none';
             
             document.getElementById('showDataPanel').checked = true;
             document.getElementById('showLatitude').checked = true;
@@ -478,6 +518,7 @@ class UIConfigManager {
             document.getElementById('showAltitude').checked = true;
             document.getElementById('showTimestamp').checked = true;
             document.getElementById('showDescription').checked = true;
+            document.getElementById('showNearestPOI').checked = true;
             
             document.getElementById('latLabel').value = 'Latitude:';
             document.getElementById('lngLabel').value = 'Longitude:';
@@ -487,6 +528,10 @@ class UIConfigManager {
             document.getElementById('defaultZoom').value = 15;
             document.getElementById('zoomValue').textContent = '15';
             document.getElementById('updateInterval').value = 2000;
+            document.getElementById('speedLimit').value = '';
+            document.getElementById('ingestMaxHdop').value = 20;
+            document.getElementById('ingestMaxSpeed').value = 500;
+            document.getElementById('ingestRejectNullIsland').checked = true;
             
             this.showNotification('Form reset to defaults', 'info');
         }
@@ -499,11 +544,1176 @@ class UIConfigManager {
     }
 }
 
+class GeofenceManager {
+    constructor() {
+        this.geofences = [];
+        this.editingId = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Geofences reveal places, so they need a key; load them when the tab is opened
+        document.querySelector('[data-tab="geofences"]').addEventListener('click', () => {
+            this.loadGeofences();
+        });
+
+        document.getElementById('geofenceForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFormSubmit();
+        });
+
+        document.getElementById('geofenceCancel').addEventListener('click', () => {
+            this.resetForm();
+        });
+
+        document.getElementById('geofenceType').addEventListener('change', (e) => {
+            this.toggleShapeFields(e.target.value);
+        });
+    }
+
+    toggleShapeFields(type) {
+        document.getElementById('geofenceCircleFields').style.display = type === 'circle' ? 'block' : 'none';
+        document.getElementById('geofencePolygonFields').style.display = type === 'polygon' ? 'block' : 'none';
+    }
+
+    async loadGeofences() {
+        const result = await wifiManager.makeAPICall('/api/geofences');
+        if (result !== null) {
+            this.geofences = result;
+            this.renderGeofences();
+        }
+    }
+
+    renderGeofences() {
+        const container = document.getElementById('geofenceList');
+        const emptyState = document.getElementById('geofenceEmpty');
+
+        if (this.geofences.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = this.geofences.map(fence => {
+            const shape = fence.type === 'circle'
+                ? `Circle, ${fence.radius} m around ${fence.center.lat.toFixed(5)}, ${fence.center.lng.toFixed(5)}`
+                : `Polygon, ${fence.points.length} vertices`;
+            const limit = fence.speedLimit ? ` · limit ${fence.speedLimit} km/h` : '';
+            return `
+                <div class="network-card">
+                    <div class="network-header">
+                        <span class="network-ssid" style="border-left: 4px solid ${fence.color}; padding-left: 8px;">${wifiManager.escapeHtml(fence.name)}</span>
+                        <div class="network-actions">
+                            <button class="edit-btn" onclick="geofenceManager.editGeofence(${fence.id})">✏️ Edit</button>
+                            <button class="delete-btn" onclick="geofenceManager.deleteGeofence(${fence.id})">🗑️ Delete</button>
+                        </div>
+                    </div>
+                    <div class="network-password">${shape}${limit}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    collectFormData() {
+        const type = document.getElementById('geofenceType').value;
+        const fence = {
+            name: document.getElementById('geofenceName').value.trim(),
+            type,
+            color: document.getElementById('geofenceColor').value,
+            speedLimit: parseFloat(document.getElementById('geofenceSpeedLimit').value) || null
+        };
+
+        if (type === 'circle') {
+            fence.center = {
+                lat: parseFloat(document.getElementById('geofenceLat').value),
+                lng: parseFloat(document.getElementById('geofenceLng').value)
+            };
+            fence.radius = parseFloat(document.getElementById('geofenceRadius').value);
+        } else {
+            fence.points = document.getElementById('geofencePoints').value
+                .split('\n')
+                .map(line => line.trim())
+                .filter(line => line)
+                .map(line => line.split(',').map(v => parseFloat(v.trim())));
+        }
+        return fence;
+    }
+
+    async handleFormSubmit() {
+        const fence = this.collectFormData();
+        if (!fence.name) {
+            this.showNotification('Please enter a name', 'error');
+            return;
+        }
+
+        const isEditing = this.editingId !== null;
+        const result = await wifiManager.makeAPICall(
+            isEditing ? `/api/geofences/${this.editingId}` : '/api/geofences',
+            {
+                method: isEditing ? 'PUT' : 'POST',
+                body: JSON.stringify(fence)
+            }
+        );
+
+        if (result !== null) {
+            this.showNotification(isEditing ? 'Geofence updated successfully!' : 'Geofence added successfully!', 'success');
+            this.resetForm();
+            this.loadGeofences();
+        }
+    }
+
+    editGeofence(id) {
+        const fence = this.geofences.find(f => f.id === id);
+        if (!fence) return;
+
+        this.editingId = id;
+        document.getElementById('geofenceName').value = fence.name;
+        document.getElementById('geofenceType').value = fence.type;
+        document.getElementById('geofenceColor').value = fence.color;
+        document.getElementById('geofenceSpeedLimit').value = fence.speedLimit ?? '';
+        this.toggleShapeFields(fence.type);
+
+        if (fence.type === 'circle') {
+            document.getElementById('geofenceLat').value = fence.center.lat;
+            document.getElementById('geofenceLng').value = fence.center.lng;
+            document.getElementById('geofenceRadius').value = fence.radius;
+        } else {
+            document.getElementById('geofencePoints').value = fence.points.map(p => `${p[0]}, ${p[1]}`).join('\n');
+        }
+
+        document.getElementById('geofenceSubmit').textContent = 'Update Geofence';
+        document.getElementById('geofenceCancel').style.display = 'inline-block';
+        document.getElementById('geofenceForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async deleteGeofence(id) {
+        const fence = this.geofences.find(f => f.id === id);
+        if (!fence || !confirm(`Are you sure you want to delete the geofence "${fence.name}"?`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/geofences/${id}`, { method: 'DELETE' });
+        if (result !== null) {
+            this.showNotification('Geofence deleted successfully!', 'success');
+            if (this.editingId === id) this.resetForm();
+            this.geofences = result;
+            this.renderGeofences();
+        }
+    }
+
+    resetForm() {
+        this.editingId = null;
+        document.getElementById('geofenceForm').reset();
+        this.toggleShapeFields('circle');
+        document.getElementById('geofenceSubmit').textContent = 'Add Geofence';
+        document.getElementById('geofenceCancel').style.display = 'none';
+    }
+
+    showNotification(message, type) {
+        if (wifiManager) {
+            wifiManager.showNotification(message, type);
+        }
+    }
+}
+
+class POIManager {
+    constructor() {
+        this.pois = [];
+        this.editingId = null;
+        this.map = null;
+        this.markers = [];
+        this.pendingMarker = null; // marker for the position being placed/edited
+        this.setupEventListeners();
+        this.loadPOIs();
+    }
+
+    setupEventListeners() {
+        document.getElementById('poiForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFormSubmit();
+        });
+
+        document.getElementById('poiCancel').addEventListener('click', () => {
+            this.resetForm();
+        });
+
+        // Leaflet cannot size itself inside a hidden tab, so create the map on first show
+        document.querySelector('[data-tab="poi"]').addEventListener('click', () => {
+            this.initializeMap();
+        });
+
+        ['poiLatitude', 'poiLongitude'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                const lat = parseFloat(document.getElementById('poiLatitude').value);
+                const lng = parseFloat(document.getElementById('poiLongitude').value);
+                if (!isNaN(lat) && !isNaN(lng)) this.placePendingMarker(lat, lng);
+            });
+        });
+    }
+
+    initializeMap() {
+        if (this.map) {
+            this.map.invalidateSize();
+            return;
+        }
+
+        this.map = L.map('poiMap').setView([52.3676, 4.9041], 8);
+        L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+            attribution: '© OpenStreetMap contributors',
+            maxZoom: 19
+        }).addTo(this.map);
+
+        this.map.on('click', (e) => {
+            document.getElementById('poiLatitude').value = e.latlng.lat.toFixed(6);
+            document.getElementById('poiLongitude').value = e.latlng.lng.toFixed(6);
+            this.placePendingMarker(e.latlng.lat, e.latlng.lng);
+        });
+
+        this.renderMarkers();
+        if (this.pois.length > 0) {
+            this.map.fitBounds(this.pois.map(p => [p.latitude, p.longitude]), { padding: [30, 30] });
+        }
+    }
+
+    createPinIcon(icon, color, pending = false) {
+        return L.divIcon({
+            className: '',
+            html: `<div class="poi-pin${pending ? ' pending' : ''}" style="background-color: ${color}">${wifiManager.escapeHtml(icon || '')}</div>`,
+            iconSize: [28, 28],
+            iconAnchor: [14, 14]
+        });
+    }
+
+    placePendingMarker(lat, lng) {
+        if (!this.map) return;
+        const icon = this.createPinIcon(
+            document.getElementById('poiIcon').value || '📍',
+            document.getElementById('poiColor').value,
+            true
+        );
+        if (this.pendingMarker) {
+            this.pendingMarker.setLatLng([lat, lng]).setIcon(icon);
+        } else {
+            this.pendingMarker = L.marker([lat, lng], { icon }).addTo(this.map);
+        }
+    }
+
+    clearPendingMarker() {
+        if (this.pendingMarker) {
+            this.map.removeLayer(this.pendingMarker);
+            this.pendingMarker = null;
+        }
+    }
+
+    renderMarkers() {
+        if (!this.map) return;
+        this.markers.forEach(marker => this.map.removeLayer(marker));
+        this.markers = this.pois.map(poi => L.marker([poi.latitude, poi.longitude], {
+            icon: this.createPinIcon(poi.icon, poi.color)
+        })
+            .bindTooltip(wifiManager.escapeHtml(poi.title))
+            .on('click', () => this.editPOI(poi.id))
+            .addTo(this.map));
+    }
+
+    async loadPOIs() {
+        try {
+            const response = await fetch('/api/poi');
+            if (response.ok) {
+                this.pois = await response.json();
+                this.renderPOIs();
+                this.renderMarkers();
+            }
+        } catch (error) {
+            console.error('Error loading POIs:', error);
+        }
+    }
+
+    renderPOIs() {
+        const container = document.getElementById('poiList');
+        const emptyState = document.getElementById('poiEmpty');
+
+        if (this.pois.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = this.pois.map(poi => `
+            <div class="network-card">
+                <div class="network-header">
+                    <span class="network-ssid" style="border-left: 4px solid ${poi.color}; padding-left: 8px;">
+                        ${wifiManager.escapeHtml(poi.icon)} ${wifiManager.escapeHtml(poi.title)}
+                    </span>
+                    <div class="network-actions">
+                        <button class="edit-btn" onclick="poiManager.editPOI(${poi.id})">✏️ Edit</button>
+                        <button class="delete-btn" onclick="poiManager.deletePOI(${poi.id})">🗑️ Delete</button>
+                    </div>
+                </div>
+                <div class="network-password">
+                    ${wifiManager.escapeHtml(poi.category)} · ${poi.latitude.toFixed(6)}, ${poi.longitude.toFixed(6)}
+                    ${poi.arrivalRadius ? ` · arrival within ${poi.arrivalRadius} m` : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    collectFormData() {
+        return {
+            title: document.getElementById('poiTitle').value.trim(),
+            description: document.getElementById('poiDescription').value.trim(),
+            latitude: parseFloat(document.getElementById('poiLatitude').value),
+            longitude: parseFloat(document.getElementById('poiLongitude').value),
+            category: document.getElementById('poiCategory').value.trim(),
+            icon: document.getElementById('poiIcon').value.trim(),
+            color: document.getElementById('poiColor').value,
+            arrivalRadius: parseFloat(document.getElementById('poiArrivalRadius').value) || null
+        };
+    }
+
+    async handleFormSubmit() {
+        const poi = this.collectFormData();
+        if (isNaN(poi.latitude) || isNaN(poi.longitude)) {
+            this.showNotification('Click the map or enter coordinates first', 'error');
+            return;
+        }
+
+        const isEditing = this.editingId !== null;
+        const result = await wifiManager.makeAPICall(
+            isEditing ? `/api/poi/${this.editingId}` : '/api/poi',
+            {
+                method: isEditing ? 'PUT' : 'POST',
+                body: JSON.stringify(poi)
+            }
+        );
+
+        if (result !== null) {
+            this.showNotification(isEditing ? 'POI updated successfully!' : 'POI added successfully!', 'success');
+            this.resetForm();
+            this.loadPOIs();
+        }
+    }
+
+    editPOI(id) {
+        const poi = this.pois.find(p => p.id === id);
+        if (!poi) return;
+
+        this.editingId = id;
+        document.getElementById('poiTitle').value = poi.title;
+        document.getElementById('poiDescription').value = poi.description || '';
+        document.getElementById('poiLatitude').value = poi.latitude;
+        document.getElementById('poiLongitude').value = poi.longitude;
+        document.getElementById('poiCategory').value = poi.category || '';
+        document.getElementById('poiIcon').value = poi.icon || '';
+        document.getElementById('poiColor').value = poi.color || '#356ac3';
+        document.getElementById('poiArrivalRadius').value = poi.arrivalRadius || '';
+        this.placePendingMarker(poi.latitude, poi.longitude);
+
+        document.getElementById('poiSubmit').textContent = 'Update POI';
+        document.getElementById('poiCancel').style.display = 'inline-block';
+        document.getElementById('poiForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async deletePOI(id) {
+        const poi = this.pois.find(p => p.id === id);
+        if (!poi || !confirm(`Are you sure you want to delete "${poi.title}"?`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/poi/${id}`, { method: 'DELETE' });
+        if (result !== null) {
+            this.showNotification('POI deleted successfully!', 'success');
+            if (this.editingId === id) this.resetForm();
+            this.pois = result;
+            this.renderPOIs();
+            this.renderMarkers();
+        }
+    }
+
+    resetForm() {
+        this.editingId = null;
+        document.getElementById('poiForm').reset();
+        this.clearPendingMarker();
+        document.getElementById('poiSubmit').textContent = 'Add POI';
+        document.getElementById('poiCancel').style.display = 'none';
+    }
+
+    showNotification(message, type) {
+        if (wifiManager) {
+            wifiManager.showNotification(message, type);
+        }
+    }
+}
+
+class WebhookManager {
+    constructor() {
+        this.webhooks = [];
+        this.editingId = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('webhookForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFormSubmit();
+        });
+
+        document.getElementById('webhookCancel').addEventListener('click', () => {
+            this.resetForm();
+        });
+
+        // Webhooks are admin-only, so load them when the tab is opened
+        document.querySelector('[data-tab="webhooks"]').addEventListener('click', () => {
+            this.loadWebhooks();
+        });
+    }
+
+    async loadWebhooks() {
+        const result = await wifiManager.makeAPICall('/api/webhooks');
+        if (result !== null) {
+            this.webhooks = result.webhooks;
+            this.renderWebhooks();
+        }
+    }
+
+    renderWebhooks() {
+        const container = document.getElementById('webhookList');
+        const emptyState = document.getElementById('webhookEmpty');
+
+        if (this.webhooks.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = this.webhooks.map(hook => `
+            <div class="network-card">
+                <div class="network-header">
+                    <span class="network-ssid">${hook.enabled ? '' : '⏸️ '}${wifiManager.escapeHtml(hook.url)}</span>
+                    <div class="network-actions">
+                        <button class="edit-btn" onclick="webhookManager.testWebhook(${hook.id})">📨 Test</button>
+                        <button class="edit-btn" onclick="webhookManager.editWebhook(${hook.id})">✏️ Edit</button>
+                        <button class="delete-btn" onclick="webhookManager.deleteWebhook(${hook.id})">🗑️ Delete</button>
+                    </div>
+                </div>
+                <div class="network-password">
+                    ${hook.events.length > 0 ? hook.events.join(', ') : 'All events'}${hook.hasSecret ? ' · signed' : ''}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    collectFormData() {
+        const hook = {
+            url: document.getElementById('webhookUrl').value.trim(),
+            events: [...document.querySelectorAll('#webhookEvents input:checked')].map(input => input.value),
+            enabled: document.getElementById('webhookEnabled').checked
+        };
+        // Leaving the secret empty while editing keeps the stored one
+        const secret = document.getElementById('webhookSecret').value;
+        if (secret || this.editingId === null) hook.secret = secret;
+        return hook;
+    }
+
+    async handleFormSubmit() {
+        const hook = this.collectFormData();
+        const isEditing = this.editingId !== null;
+        const result = await wifiManager.makeAPICall(
+            isEditing ? `/api/webhooks/${this.editingId}` : '/api/webhooks',
+            {
+                method: isEditing ? 'PUT' : 'POST',
+                body: JSON.stringify(hook)
+            }
+        );
+
+        if (result !== null) {
+            this.showNotification(isEditing ? 'Webhook updated successfully!' : 'Webhook added successfully!', 'success');
+            this.resetForm();
+            this.loadWebhooks();
+        }
+    }
+
+    editWebhook(id) {
+        const hook = this.webhooks.find(h => h.id === id);
+        if (!hook) return;
+
+        this.editingId = id;
+        document.getElementById('webhookUrl').value = hook.url;
+        document.getElementById('webhookSecret').value = '';
+        document.getElementById('webhookSecret').placeholder = hook.hasSecret
+            ? 'Leave empty to keep the current secret'
+            : 'Used to sign payloads (X-Tracker-Signature)';
+        document.querySelectorAll('#webhookEvents input').forEach(input => {
+            input.checked = hook.events.includes(input.value);
+        });
+        document.getElementById('webhookEnabled').checked = hook.enabled;
+
+        document.getElementById('webhookSubmit').textContent = 'Update Webhook';
+        document.getElementById('webhookCancel').style.display = 'inline-block';
+        document.getElementById('webhookForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async testWebhook(id) {
+        const result = await wifiManager.makeAPICall(`/api/webhooks/${id}/test`, { method: 'POST' });
+        if (result !== null) {
+            if (result.delivered) {
+                this.showNotification('Test event delivered', 'success');
+            } else {
+                this.showNotification('Test delivery failed, retrying in the background', 'error');
+            }
+        }
+    }
+
+    async deleteWebhook(id) {
+        const hook = this.webhooks.find(h => h.id === id);
+        if (!hook || !confirm(`Are you sure you want to delete the webhook to "${hook.url}"?`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/webhooks/${id}`, { method: 'DELETE' });
+        if (result !== null) {
+            this.showNotification('Webhook deleted successfully!', 'success');
+            if (this.editingId === id) this.resetForm();
+            this.webhooks = result;
+            this.renderWebhooks();
+        }
+    }
+
+    resetForm() {
+        this.editingId = null;
+        document.getElementById('webhookForm').reset();
+        document.getElementById('webhookSecret').placeholder = 'Used to sign payloads (X-Tracker-Signature)';
+        document.getElementById('webhookSubmit').textContent = 'Add Webhook';
+        document.getElementById('webhookCancel').style.display = 'none';
+    }
+
+    showNotification(message, type) {
+        if (wifiManager) {
+            wifiManager.showNotification(message, type);
+        }
+    }
+}
+
+class KeyManager {
+    constructor() {
+        this.keys = [];
+        this.currentKeyId = null; // key used by this browser, which cannot revoke itself
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('keyForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createKey();
+        });
+
+        // Keys are admin-only, so load them when the tab is opened
+        document.querySelector('[data-tab="keys"]').addEventListener('click', () => {
+            this.loadKeys();
+        });
+    }
+
+    async loadKeys() {
+        const result = await wifiManager.makeAPICall('/api/keys');
+        if (result !== null) {
+            this.keys = result.keys;
+            this.currentKeyId = result.current.id;
+            this.renderKeys();
+        }
+    }
+
+    keyStatus(key) {
+        if (key.revokedAt) return `Revoked ${new Date(key.revokedAt).toLocaleDateString()}`;
+        if (!key.active) return `Expired ${new Date(key.expiresAt).toLocaleDateString()}`;
+        if (key.expiresAt) return `Expires ${new Date(key.expiresAt).toLocaleDateString()}`;
+        return 'No expiry';
+    }
+
+    renderKeys() {
+        const container = document.getElementById('keyList');
+        const emptyState = document.getElementById('keyEmpty');
+
+        if (this.keys.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = this.keys.map(key => {
+            const lastUsed = key.lastUsedAt ? new Date(key.lastUsedAt).toLocaleString() : 'never';
+            const actions = key.revokedAt ? '' : `
+                <button class="edit-btn" onclick="keyManager.rotateKey(${key.id})">🔄 Rotate</button>
+                ${key.id === this.currentKeyId ? '' : `<button class="delete-btn" onclick="keyManager.revokeKey(${key.id})">🚫 Revoke</button>`}
+            `;
+            return `
+                <div class="network-card">
+                    <div class="network-header">
+                        <span class="network-ssid">${key.active ? '' : '⛔ '}${wifiManager.escapeHtml(key.name)} <code>${wifiManager.escapeHtml(key.prefix)}…</code></span>
+                        <div class="network-actions">${actions}</div>
+                    </div>
+                    <div class="network-password">
+                        ${key.scopes.join(', ')} · ${this.keyStatus(key)} · last used ${lastUsed}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    showNewKey(key) {
+        document.getElementById('newKeyValue').textContent = key;
+        document.getElementById('newKeyResult').style.display = 'block';
+    }
+
+    async createKey() {
+        const expires = document.getElementById('keyExpires').value;
+        const body = {
+            name: document.getElementById('keyName').value.trim(),
+            scopes: [...document.querySelectorAll('#keyScopes input:checked')].map(input => input.value),
+            // Valid through the end of the chosen day
+            expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : null
+        };
+        if (body.scopes.length === 0) {
+            this.showNotification('Select at least one scope', 'error');
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall('/api/keys', {
+            method: 'POST',
+            body: JSON.stringify(body)
+        });
+        if (result !== null) {
+            this.showNewKey(result.key);
+            this.showNotification('API key created', 'success');
+            document.getElementById('keyForm').reset();
+            this.loadKeys();
+        }
+    }
+
+    async rotateKey(id) {
+        const key = this.keys.find(k => k.id === id);
+        if (!key || !confirm(`Rotate "${key.name}"? The current key stops working immediately.`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/keys/${id}/rotate`, { method: 'POST' });
+        if (result !== null) {
+            this.showNewKey(result.key);
+            if (id === this.currentKeyId) {
+                // Keep this browser signed in with the replacement
+                wifiManager.apiKey = result.key;
+                document.getElementById('apiKey').value = result.key;
+                localStorage.setItem('wifiManagerApiKey', result.key);
+            }
+            this.showNotification('API key rotated', 'success');
+            this.loadKeys();
+        }
+    }
+
+    async revokeKey(id) {
+        const key = this.keys.find(k => k.id === id);
+        if (!key || !confirm(`Revoke "${key.name}"? Devices using it will be rejected.`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/keys/${id}`, { method: 'DELETE' });
+        if (result !== null) {
+            this.showNotification('API key revoked', 'success');
+            this.keys = result;
+            this.renderKeys();
+        }
+    }
+
+    showNotification(message, type) {
+        if (wifiManager) {
+            wifiManager.showNotification(message, type);
+        }
+    }
+}
+
+class ShareManager {
+    constructor() {
+        this.shares = [];
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('shareForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.createShare();
+        });
+
+        // Share links are admin-only, so load them when the tab is opened
+        document.querySelector('[data-tab="shares"]').addEventListener('click', () => {
+            this.loadShares();
+        });
+    }
+
+    async loadShares() {
+        const result = await wifiManager.makeAPICall('/api/shares');
+        if (result !== null) {
+            this.shares = result.shares;
+            this.renderShares();
+        }
+    }
+
+    shareStatus(share) {
+        if (share.revokedAt) return `Revoked ${new Date(share.revokedAt).toLocaleString()}`;
+        if (!share.active) return `Expired ${new Date(share.expiresAt).toLocaleString()}`;
+        if (share.expiresAt) return `Expires ${new Date(share.expiresAt).toLocaleString()}`;
+        return 'No expiry';
+    }
+
+    renderShares() {
+        const container = document.getElementById('shareList');
+        const emptyState = document.getElementById('shareEmpty');
+
+        if (this.shares.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        const formatTime = value => value ? new Date(value).toLocaleString() : '…';
+        container.innerHTML = this.shares.map(share => {
+            const details = [
+                share.devices ? `Devices: ${share.devices.join(', ')}` : 'All devices',
+                share.fields ? `Fields: ${share.fields.length > 0 ? share.fields.join(', ') : 'position only'}` : 'All fields',
+                share.windowFrom || share.windowTo ? `Fixes ${formatTime(share.windowFrom)} – ${formatTime(share.windowTo)}` : null,
+                this.shareStatus(share)
+            ].filter(Boolean).join(' · ');
+            return `
+                <div class="network-card">
+                    <div class="network-header">
+                        <span class="network-ssid">${share.active ? '' : '⛔ '}${wifiManager.escapeHtml(share.name)} <code>${wifiManager.escapeHtml(share.prefix)}…</code></span>
+                        <div class="network-actions">
+                            ${share.revokedAt ? '' : `<button class="delete-btn" onclick="shareManager.revokeShare(${share.id})">🚫 Revoke</button>`}
+                        </div>
+                    </div>
+                    <div class="network-password">${wifiManager.escapeHtml(details)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    collectFormData() {
+        const hours = parseFloat(document.getElementById('shareExpiresHours').value);
+        const windowFrom = document.getElementById('shareWindowFrom').value;
+        const windowTo = document.getElementById('shareWindowTo').value;
+        const devices = document.getElementById('shareDevices').value
+            .split(',')
+            .map(id => id.trim())
+            .filter(id => id);
+        const fieldInputs = [...document.querySelectorAll('#shareFields input')];
+        const fields = fieldInputs.filter(input => input.checked).map(input => input.value);
+
+        return {
+            name: document.getElementById('shareName').value.trim(),
+            devices: devices.length > 0 ? devices : null,
+            // All boxes ticked means no restriction, so fields added later are shared too
+            fields: fields.length === fieldInputs.length ? null : fields,
+            windowFrom: windowFrom ? new Date(windowFrom).toISOString() : null,
+            windowTo: windowTo ? new Date(windowTo).toISOString() : null,
+            expiresAt: hours > 0 ? new Date(Date.now() + hours * 3600000).toISOString() : null
+        };
+    }
+
+    async createShare() {
+        const result = await wifiManager.makeAPICall('/api/shares', {
+            method: 'POST',
+            body: JSON.stringify(this.collectFormData())
+        });
+        if (result !== null) {
+            document.getElementById('newShareValue').textContent = new URL(result.url, window.location.origin).href;
+            document.getElementById('newShareResult').style.display = 'block';
+            this.showNotification('Share link created', 'success');
+            document.getElementById('shareForm').reset();
+            this.loadShares();
+        }
+    }
+
+    async revokeShare(id) {
+        const share = this.shares.find(s => s.id === id);
+        if (!share || !confirm(`Revoke "${share.name}"? Anyone viewing it loses access immediately.`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/shares/${id}`, { method: 'DELETE' });
+        if (result !== null) {
+            this.showNotification('Share link revoked', 'success');
+            this.shares = result;
+            this.renderShares();
+        }
+    }
+
+    showNotification(message, type) {
+        if (wifiManager) {
+            wifiManager.showNotification(message, type);
+        }
+    }
+}
+
+class PrivacyZoneManager {
+    constructor() {
+        this.zones = [];
+        this.editingId = null;
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('privacyZoneForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.handleFormSubmit();
+        });
+
+        document.getElementById('privacyZoneCancel').addEventListener('click', () => {
+            this.resetForm();
+        });
+
+        document.getElementById('privacyZonePoi').addEventListener('change', (e) => {
+            const poi = poiManager.pois.find(p => String(p.id) === e.target.value);
+            if (poi) {
+                document.getElementById('privacyZoneLat').value = poi.latitude;
+                document.getElementById('privacyZoneLng').value = poi.longitude;
+                if (!document.getElementById('privacyZoneName').value) {
+                    document.getElementById('privacyZoneName').value = poi.title;
+                }
+            }
+        });
+
+        // Zones are admin-only, so load them when the tab is opened
+        document.querySelector('[data-tab="privacy"]').addEventListener('click', () => {
+            this.renderPoiOptions();
+            this.loadZones();
+        });
+    }
+
+    renderPoiOptions() {
+        const select = document.getElementById('privacyZonePoi');
+        select.innerHTML = '<option value="">Enter coordinates below</option>' + poiManager.pois.map(poi =>
+            `<option value="${poi.id}">${wifiManager.escapeHtml(poi.title)}</option>`
+        ).join('');
+    }
+
+    async loadZones() {
+        const result = await wifiManager.makeAPICall('/api/privacy-zones');
+        if (result !== null) {
+            this.zones = result;
+            this.renderZones();
+        }
+    }
+
+    renderZones() {
+        const container = document.getElementById('privacyZoneList');
+        const emptyState = document.getElementById('privacyZoneEmpty');
+
+        if (this.zones.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = this.zones.map(zone => `
+            <div class="network-card">
+                <div class="network-header">
+                    <span class="network-ssid">${wifiManager.escapeHtml(zone.name)}</span>
+                    <div class="network-actions">
+                        <button class="edit-btn" onclick="privacyZoneManager.editZone(${zone.id})">✏️ Edit</button>
+                        <button class="delete-btn" onclick="privacyZoneManager.deleteZone(${zone.id})">🗑️ Delete</button>
+                    </div>
+                </div>
+                <div class="network-password">
+                    ${zone.center.lat.toFixed(5)}, ${zone.center.lng.toFixed(5)} · ${zone.radius} m ·
+                    ${zone.mode === 'snap' ? 'snapped to center' : 'hidden'}
+                </div>
+            </div>
+        `).join('');
+    }
+
+    collectFormData() {
+        return {
+            name: document.getElementById('privacyZoneName').value.trim(),
+            center: {
+                lat: parseFloat(document.getElementById('privacyZoneLat').value),
+                lng: parseFloat(document.getElementById('privacyZoneLng').value)
+            },
+            radius: parseFloat(document.getElementById('privacyZoneRadius').value),
+            mode: document.getElementById('privacyZoneMode').value
+        };
+    }
+
+    async handleFormSubmit() {
+        const zone = this.collectFormData();
+        const isEditing = this.editingId !== null;
+        const result = await wifiManager.makeAPICall(
+            isEditing ? `/api/privacy-zones/${this.editingId}` : '/api/privacy-zones',
+            {
+                method: isEditing ? 'PUT' : 'POST',
+                body: JSON.stringify(zone)
+            }
+        );
+
+        if (result !== null) {
+            this.showNotification(isEditing ? 'Privacy zone updated successfully!' : 'Privacy zone added successfully!', 'success');
+            this.resetForm();
+            this.loadZones();
+        }
+    }
+
+    editZone(id) {
+        const zone = this.zones.find(z => z.id === id);
+        if (!zone) return;
+
+        this.editingId = id;
+        document.getElementById('privacyZoneName').value = zone.name;
+        document.getElementById('privacyZonePoi').value = '';
+        document.getElementById('privacyZoneLat').value = zone.center.lat;
+        document.getElementById('privacyZoneLng').value = zone.center.lng;
+        document.getElementById('privacyZoneRadius').value = zone.radius;
+        document.getElementById('privacyZoneMode').value = zone.mode;
+
+        document.getElementById('privacyZoneSubmit').textContent = 'Update Zone';
+        document.getElementById('privacyZoneCancel').style.display = 'inline-block';
+        document.getElementById('privacyZoneForm').scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async deleteZone(id) {
+        const zone = this.zones.find(z => z.id === id);
+        if (!zone || !confirm(`Are you sure you want to delete the privacy zone "${zone.name}"?`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/privacy-zones/${id}`, { method: 'DELETE' });
+        if (result !== null) {
+            this.showNotification('Privacy zone deleted successfully!', 'success');
+            if (this.editingId === id) this.resetForm();
+            this.zones = result;
+            this.renderZones();
+        }
+    }
+
+    resetForm() {
+        this.editingId = null;
+        document.getElementById('privacyZoneForm').reset();
+        document.getElementById('privacyZoneSubmit').textContent = 'Add Zone';
+        document.getElementById('privacyZoneCancel').style.display = 'none';
+    }
+
+    showNotification(message, type) {
+        if (wifiManager) {
+            wifiManager.showNotification(message, type);
+        }
+    }
+}
+
+class ConfigHistoryManager {
+    constructor() {
+        this.versions = [];
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        // Versions are admin-only, so load them when the tab is opened
+        document.querySelector('[data-tab="history"]').addEventListener('click', () => {
+            this.loadVersions();
+        });
+    }
+
+    async loadVersions() {
+        const result = await wifiManager.makeAPICall('/api/config/versions');
+        if (result !== null) {
+            this.versions = result;
+            this.renderVersions();
+        }
+    }
+
+    renderVersions() {
+        const container = document.getElementById('configVersionList');
+        const emptyState = document.getElementById('configVersionEmpty');
+        document.getElementById('configDiff').style.display = 'none';
+
+        if (this.versions.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = this.versions.map(entry => {
+            const savedAt = entry.savedAt ? new Date(entry.savedAt).toLocaleString() : 'Before versioning';
+            const author = entry.author ? wifiManager.escapeHtml(entry.author.name) : 'unknown';
+            return `
+                <div class="network-card">
+                    <div class="network-header">
+                        <span class="network-ssid">Version ${entry.version}${entry.current ? ' (current)' : ''}</span>
+                        <div class="network-actions">
+                            ${entry.current ? '' : `<button class="edit-btn" onclick="configHistoryManager.showDiff(${entry.version})">🔍 Diff</button>`}
+                            ${entry.current ? '' : `<button class="delete-btn" onclick="configHistoryManager.rollback(${entry.version})">↩️ Roll back</button>`}
+                        </div>
+                    </div>
+                    <div class="network-password">
+                        ${savedAt} · ${author}${entry.rolledBackFrom ? ` · rollback to version ${entry.rolledBackFrom}` : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    async showDiff(version) {
+        const result = await wifiManager.makeAPICall(`/api/config/versions/${version}/diff`);
+        if (result === null) return;
+
+        const format = value => wifiManager.escapeHtml(JSON.stringify(value));
+        const panel = document.getElementById('configDiff');
+        document.getElementById('configDiffTitle').textContent = `Changes from version ${result.from} to the current version ${result.to}`;
+        document.getElementById('configDiffList').innerHTML = result.changes.length === 0
+            ? '<li>No differences</li>'
+            : result.changes.map(change => {
+                const path = wifiManager.escapeHtml(change.path);
+                if (change.change === 'added') return `<li class="diff-added"><code>${path}</code> added: ${format(change.to)}</li>`;
+                if (change.change === 'removed') return `<li class="diff-removed"><code>${path}</code> removed (was ${format(change.from)})</li>`;
+                return `<li><code>${path}</code>: ${format(change.from)} → ${format(change.to)}</li>`;
+            }).join('');
+        panel.style.display = 'block';
+        panel.scrollIntoView({ behavior: 'smooth' });
+    }
+
+    async rollback(version) {
+        if (!confirm(`Restore configuration version ${version}? The current configuration stays in the history.`)) {
+            return;
+        }
+
+        const result = await wifiManager.makeAPICall(`/api/config/versions/${version}/rollback`, { method: 'POST' });
+        if (result !== null) {
+            this.showNotification(`${result.message} (saved as version ${result.version})`, 'success');
+            this.loadVersions();
+            configManager.loadConfig();
+        }
+    }
+
+    showNotification(message, type) {
+        if (wifiManager) {
+            wifiManager.showNotification(message, type);
+        }
+    }
+}
+
+class DeviceStatusManager {
+    constructor() {
+        this.devices = [];
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.querySelector('[data-tab="devices"]').addEventListener('click', () => {
+            this.loadDevices();
+        });
+        document.getElementById('refreshDeviceStatus').addEventListener('click', () => {
+            this.loadDevices();
+        });
+    }
+
+    async loadDevices() {
+        const devices = await wifiManager.makeAPICall('/api/devices');
+        if (devices === null) return;
+
+        // The last hour of samples is enough for the trend line on each card
+        this.devices = await Promise.all(devices.map(async device => ({
+            ...device,
+            status: await wifiManager.makeAPICall(`/api/devices/${encodeURIComponent(device.id)}/telemetry?limit=60`)
+        })));
+        this.renderDevices();
+    }
+
+    formatUptime(seconds) {
+        const days = Math.floor(seconds / 86400);
+        const hours = Math.floor((seconds % 86400) / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        if (days > 0) return `${days}d ${hours}h`;
+        if (hours > 0) return `${hours}h ${minutes}m`;
+        return `${minutes}m`;
+    }
+
+    // "85 → 80%" over the samples, or null when there are fewer than two
+    formatTrend(history, field, unit) {
+        const values = history.map(sample => sample[field]).filter(value => typeof value === 'number');
+        if (values.length < 2) return null;
+        return `${values[0]} → ${values[values.length - 1]}${unit}`;
+    }
+
+    renderDevices() {
+        const container = document.getElementById('deviceStatusList');
+        const emptyState = document.getElementById('deviceStatusEmpty');
+        const devices = this.devices.filter(device => device.status);
+
+        if (devices.length === 0) {
+            container.innerHTML = '';
+            emptyState.style.display = 'block';
+            return;
+        }
+
+        emptyState.style.display = 'none';
+        container.innerHTML = devices.map(device => {
+            const { latest, warnings, history, offline, lastPacketTimestamp } = device.status;
+            const t = latest || {};
+            const fields = [];
+            if (typeof t.battery === 'number') fields.push(`🔋 ${t.battery}%`);
+            if (typeof t.voltage === 'number') fields.push(`${t.voltage} V`);
+            if (typeof t.rssi === 'number') fields.push(`📶 ${t.rssi} dBm${t.ssid ? ` (${wifiManager.escapeHtml(t.ssid)})` : ''}`);
+            if (typeof t.heap === 'number') fields.push(`${Math.round(t.heap / 1024)} KB free`);
+            if (typeof t.uptime === 'number') fields.push(`up ${this.formatUptime(t.uptime)}`);
+            if (t.resetReason) fields.push(`reset: ${wifiManager.escapeHtml(t.resetReason)}`);
+            if (t.firmware) fields.push(`fw ${wifiManager.escapeHtml(t.firmware)}`);
+
+            const battery = this.formatTrend(history, 'battery', '%');
+            const signal = this.formatTrend(history, 'rssi', ' dBm');
+            const trends = [battery && `battery ${battery}`, signal && `signal ${signal}`].filter(Boolean);
+            const trend = trends.length > 0 ? `<p class="help-text">Last hour: ${trends.join(', ')}</p>` : '';
+            const lastPacket = lastPacketTimestamp ? new Date(lastPacketTimestamp).toLocaleString() : 'never';
+
+            return `
+                <div class="network-card${warnings.length > 0 ? ' device-warning' : ''}">
+                    <div class="network-header">
+                        <span class="network-ssid">${offline ? '⛔ ' : ''}${wifiManager.escapeHtml(device.name)} <code>${wifiManager.escapeHtml(device.id)}</code></span>
+                        <span class="help-text">Last packet ${lastPacket}</span>
+                    </div>
+                    <div class="network-password">
+                        ${fields.length > 0 ? fields.join(' · ') : 'No telemetry reported'}
+                    </div>
+                    ${trend}
+                    ${warnings.length > 0 ? `<ul class="device-warnings">${warnings.map(warning => `<li>⚠️ ${wifiManager.escapeHtml(warning.message)}</li>`).join('')}</ul>` : ''}
+                </div>
+            `;
+        }).join('');
+    }
+}
+
 let wifiManager;
 let configManager;
+let geofenceManager;
+let poiManager;
+let webhookManager;
+let keyManager;
+let shareManager;
+let privacyZoneManager;
+let configHistoryManager;
+let deviceStatusManager;
 document.addEventListener('DOMContentLoaded', () => {
     wifiManager = new WiFiManager();
     configManager = new UIConfigManager();
+    geofenceManager = new GeofenceManager();
+    poiManager = new POIManager();
+    webhookManager = new WebhookManager();
+    keyManager = new KeyManager();
+    shareManager = new ShareManager();
+    privacyZoneManager = new PrivacyZoneManager();
+    configHistoryManager = new ConfigHistoryManager();
+    deviceStatusManager = new DeviceStatusManager();
 });
 
 setInterval(() => {
@@ -1,16 +1,96 @@
+// Marker motion tuning
+const MARKER_JUMP_METERS = 5000; // further moves (reconnects, device switches) jump instead of sliding
+const MARKER_MAX_ANIMATION_MS = 5000;
+const SMOOTHING_MAX_SPEED = 10; // km/h; faster fixes skip the filter, which would trail behind
+const HEADING_MIN_SPEED = 2; // km/h; slower fixes keep the last heading instead of jittering
+const HEADING_MIN_METERS = 3;
+
+// Signal quality charts
+const QUALITY_GAP_MS = 30000; // samples further apart are drawn as a gap, not a line
+const QUALITY_CHART_WIDTH = 300; // SVG viewBox units, stretched to the panel width
+const QUALITY_CHART_HEIGHT = 40;
+
+/*
+ Kalman filter on a stream of fixes, treating lat and lng as independent with one shared
+ variance (m²). Good enough to calm a standing or crawling receiver without a motion model.
+*/
+class KalmanPositionFilter {
+    constructor(processNoise = 3) {
+        this.processNoise = processNoise; // m/s the true position may drift between fixes
+        this.variance = null; // null until the first fix
+        this.lat = 0;
+        this.lng = 0;
+        this.time = 0;
+    }
+
+    // accuracy: standard deviation of the fix in meters; time: epoch ms of the fix
+    update(lat, lng, accuracy, time) {
+        if (this.variance === null) {
+            Object.assign(this, { lat, lng, time, variance: accuracy * accuracy });
+            return [lat, lng];
+        }
+        this.variance += Math.max(time - this.time, 0) / 1000 * this.processNoise ** 2;
+        this.time = time;
+        const gain = this.variance / (this.variance + accuracy * accuracy);
+        this.lat += gain * (lat - this.lat);
+        this.lng += gain * (lng - this.lng);
+        this.variance *= 1 - gain;
+        return [this.lat, this.lng];
+    }
+
+    reset() {
+        this.variance = null;
+    }
+}
+
 class GPSTracker {
     constructor() {
         this.map = null;
-        this.currentMarker = null;
-        this.lastPosition = null;
+        this.devices = {}; // id -> { id, name, color, icon, latest }
+        this.deviceMarkers = {}; // id -> Leaflet marker, plus its motion state in marker.track
+        this.selectedDevice = null; // device shown in the data panel and status bar
+        this.lastPosition = null; // last shown position of the selected device
         this.isConnected = false; // whether we have any recent packet
         this.hasFix = false; // whether latest packet had a fix
         this.lastFixTime = null; // Date of last valid fix
         this.lastPacketTime = null; // Date of last packet (fix or not)
-        this.pollInterval = null;
+        this.pollInterval = null; // polling fallback while the stream is down
+        this.eventSource = null; // live push stream from /api/stream
+        this.streamAttempt = 0; // bumped to abandon a connect that is still waiting for its token
+        this.streamRetryTimer = null;
+        this.streamRetryDelay = 1000; // reconnect backoff, doubles per failure
+        this.statusInterval = null;
         this.poiMarkers = [];
+        this.pois = []; // names the POIs of arrivals noticed while polling
+        this.geofenceLayers = [];
+        this.geofences = [];
+        this.geofenceEvents = []; // newest first
+        this.speedViolations = []; // finished violations, newest first
+        this.trips = []; // trips of the selected device, newest first
+        this.selectedTrip = null;
+        this.tripLayer = null; // highlighted trip on the map
         this.trackerPopupWasOpen = false;
         this.config = null;
+        // Opened through a share link (live view only), otherwise use the admin panel's saved key
+        this.shareToken = new URLSearchParams(window.location.search).get('share');
+        this.apiKey = this.shareToken ? null : localStorage.getItem('wifiManagerApiKey');
+        this.accessDenied = false;
+        this.quality = {
+            open: false,
+            minutes: 15,    // rolling window of the charts
+            device: null,   // device the samples belong to (the selected one)
+            samples: []     // { time, fix, sats, hdop } per packet, oldest first
+        };
+        this.playback = {
+            active: false,  // whether the map shows recorded history instead of live data
+            points: [],     // fix points of the loaded window, oldest first
+            index: -1,      // index of the point currently shown
+            time: 0,        // scrubbed moment (epoch ms)
+            playing: false,
+            speed: 1,
+            timer: null,
+            trail: null     // polyline of the loaded track
+        };
 
         this.init();
     }
@@ -21,6 +101,16 @@ class GPSTracker {
         this.initializeMap();
         this.setupEventListeners();
         this.loadPOIs();
+        this.loadGeofences();
+        if (this.shareToken) {
+            // Share links only cover the live position
+            ['exportButton', 'playbackButton', 'tripsButton'].forEach(id => {
+                document.getElementById(id).style.display = 'none';
+            });
+        } else {
+            this.loadGeofenceEvents();
+            this.loadSpeedViolations();
+        }
         this.startTracking();
         this.updateUI();
     }
@@ -60,6 +150,9 @@ class GPSTracker {
                 customIconUrl: "",
                 customIconSize: [32, 32],
                 defaultIconColor: "#3388ff",
+                animateMarker: true,
+                rotateIcon: true,
+                smoothing: "none",
                 description: "Live GPS position",
                 popupData: {
                     showLatitude: true,
@@ -67,7 +160,8 @@ class GPSTracker {
                     showSpeed: true,
                     showAltitude: true,
                     showTimestamp: true,
-                    showDescription: true
+                    showDescription: true,
+                    showNearestPOI: true
                 }
             },
             map: {
@@ -163,6 +257,59 @@ class GPSTracker {
             this.centerOnTracker();
         });
 
+        // Export controls
+        document.getElementById('exportButton').addEventListener('click', () => {
+            this.toggleExportPanel();
+        });
+
+        document.getElementById('exportDownload').addEventListener('click', () => {
+            this.downloadExport();
+        });
+
+        // Playback controls
+        document.getElementById('playbackButton').addEventListener('click', () => {
+            this.togglePlaybackPanel();
+        });
+
+        document.getElementById('playbackLoad').addEventListener('click', () => {
+            this.loadPlayback();
+        });
+
+        document.getElementById('playbackExit').addEventListener('click', () => {
+            this.exitPlayback();
+        });
+
+        document.getElementById('playbackToggle').addEventListener('click', () => {
+            if (this.playback.playing) {
+                this.pausePlayback();
+            } else {
+                this.playPlayback();
+            }
+        });
+
+        document.getElementById('playbackScrubber').addEventListener('input', (e) => {
+            this.seekPlayback(parseInt(e.target.value));
+        });
+
+        document.getElementById('playbackSpeed').addEventListener('change', (e) => {
+            this.playback.speed = parseInt(e.target.value) || 1;
+        });
+
+        // Trips
+        document.getElementById('tripsButton').addEventListener('click', () => {
+            this.toggleTripsPanel();
+        });
+
+        // Signal quality
+        document.getElementById('qualityButton').addEventListener('click', () => {
+            this.toggleQualityPanel();
+        });
+
+        document.getElementById('qualityWindow').addEventListener('change', (e) => {
+            this.quality.minutes = parseInt(e.target.value) || 15;
+            this.loadQualityHistory();
+        });
+
         // Handle window resize
         window.addEventListener('resize', () => {
             if (this.map) {
@@ -171,93 +318,377 @@ class GPSTracker {
         });
     }
 
-    async fetchLatestGPSData() {
+    // fetch() for protected endpoints, authorised by the share token or the saved API key
+    apiFetch(path) {
+        const url = new URL(path, window.location.origin);
+        const options = {};
+        if (this.shareToken) {
+            url.searchParams.set('share', this.shareToken);
+        } else if (this.apiKey) {
+            options.headers = { 'Authorization': `Bearer ${this.apiKey}` };
+        }
+        return fetch(url, options);
+    }
+
+    async fetchDevices() {
         try {
-            const response = await fetch('/api/latest-gps');
+            const response = await this.apiFetch('/api/devices');
             if (response.ok) {
                 return await response.json();
             }
+            if (response.status === 401 || response.status === 403) {
+                this.denyAccess(this.shareToken
+                    ? 'This share link is invalid, expired or revoked.'
+                    : 'This tracker is private. Open a share link or enter an API key in the Admin Panel.');
+            }
         } catch (error) {
             // silent
         }
     }
 
+    // Stops all updates and clears the map when the viewer has no (or no longer has) access
+    denyAccess(message) {
+        if (this.accessDenied) return;
+        this.accessDenied = true;
+        this.stopTracking();
+        Object.keys(this.deviceMarkers).forEach(id => this.removeDeviceMarker(id));
+        this.devices = {};
+        this.lastPosition = null;
+        this.isConnected = false;
+        this.renderDeviceList();
+        this.updateConnectionStatus();
+
+        const banner = document.getElementById('accessBanner');
+        banner.textContent = message;
+        banner.style.display = 'block';
+    }
+
     async updateGPSData() {
-        const data = await this.fetchLatestGPSData();
-        if (data) {
+        const devices = await this.fetchDevices();
+        if (devices) {
+            // Arrivals are pushed over the stream; while polling, compare the states instead
+            if (!this.eventSource) this.notifyPOIChanges(devices);
             this.isConnected = true;
+            this.syncDevices(devices);
+            this.refreshDevices(devices);
+            // Events are pushed over the stream; poll them only in fallback mode
+            if (!this.eventSource) {
+                this.loadGeofenceEvents();
+                this.loadSpeedViolations();
+            }
+        } else {
+            this.isConnected = false;
+        }
+        this.updateConnectionStatus();
+    }
+
+    // Applies one pushed packet ({ device, ...latest state }) from the stream
+    handleStreamPacket(data) {
+        const device = this.devices[data.device];
+        if (!device) {
+            // Unknown device: fetch the list to get its name, color and icon
+            this.updateGPSData();
+            return;
+        }
+
+        device.latest = data;
+        this.isConnected = true;
+        this.refreshDevices([device]);
+        this.updateConnectionStatus();
+    }
+
+    refreshDevices(devices) {
+        const data = this.devices[this.selectedDevice]?.latest;
+        if (data) {
             // Parse timestamps
             this.hasFix = !!data.fix;
             if (data.lastPacketTimestamp) this.lastPacketTime = new Date(data.lastPacketTimestamp);
             if (data.lastFixTimestamp) this.lastFixTime = new Date(data.lastFixTimestamp);
+            this.recordQualitySample(data);
+        }
 
-            if (this.hasFix) {
-                this.updatePosition(data);
+        if (this.playback.active) {
+            // Map and data panel show the scrubbed moment; only the status bar stays live
+        } else {
+            devices.forEach(device => {
+                const latest = device.latest;
+                if (latest?.private === 'hidden') {
+                    // Inside a privacy zone: the server withholds the position entirely
+                    this.removeDeviceMarker(device.id);
+                    return;
+                }
+                if (!latest || latest.lat === null || latest.lng === null) return;
+                // No fix: keep the previous marker, but show the last known position on first load
+                if (latest.fix || !this.deviceMarkers[device.id]) {
+                    this.updatePosition(latest);
+                }
+            });
+            if (data && this.hasFix) {
                 this.updateDataDisplay(data);
-            } else {
-                // No fix: keep previous position display, maybe show sats/hdop later
             }
-        } else {
-            this.isConnected = false;
         }
-        this.updateConnectionStatus();
+        this.renderDeviceList();
+        this.renderSpeedFeed();
+        this.renderQualityPanel();
+    }
+
+    syncDevices(devices) {
+        const ids = devices.map(d => d.id);
+
+        // Forget devices that were removed on the server
+        Object.keys(this.devices).forEach(id => {
+            if (!ids.includes(id)) {
+                this.removeDeviceMarker(id);
+                delete this.devices[id];
+            }
+        });
+        devices.forEach(device => {
+            this.devices[device.id] = device;
+        });
+
+        if (!this.selectedDevice || !this.devices[this.selectedDevice]) {
+            // Default to the device that reported most recently
+            const latest = devices
+                .filter(d => d.latest)
+                .sort((a, b) => b.latest.lastPacketTimestamp.localeCompare(a.latest.lastPacketTimestamp))[0];
+            this.selectedDevice = latest ? latest.id : (ids[0] || null);
+            this.lastPosition = null;
+        }
     }
 
-    updatePosition(data) {
-        const { lat, lng } = data;
-        const newPosition = [lat, lng];
+    selectDevice(id) {
+        if (!this.devices[id] || this.playback.active) return;
 
-        // Check if current tracker marker has an open popup
-        let popupWasOpen = false;
-        if (this.currentMarker && this.currentMarker.isPopupOpen()) {
-            popupWasOpen = true;
+        this.selectedDevice = id;
+        this.lastPosition = null;
+        const data = this.devices[id].latest;
+        if (data) {
+            this.hasFix = !!data.fix;
+            this.lastPacketTime = data.lastPacketTimestamp ? new Date(data.lastPacketTimestamp) : null;
+            this.lastFixTime = data.lastFixTimestamp ? new Date(data.lastFixTimestamp) : null;
+            this.recordQualitySample(data);
+            if (data.lat !== null && data.lng !== null) {
+                this.updatePosition(data);
+                this.updateDataDisplay(data);
+            }
         }
+        this.renderDeviceList();
+        this.updateConnectionStatus();
+        this.renderQualityPanel();
 
-        // Update current marker
-        if (this.currentMarker) {
-            this.map.removeLayer(this.currentMarker);
+        if (document.getElementById('tripsPanel').style.display !== 'none') {
+            this.clearTripHighlight();
+            this.loadTrips();
         }
+    }
+
+    renderDeviceList() {
+        const panel = document.getElementById('devicePanel');
+        const list = document.getElementById('deviceList');
+        const devices = Object.values(this.devices).sort((a, b) => a.name.localeCompare(b.name));
 
-        // Create custom marker based on configuration
-        let customIcon;
-        if (this.config.tracker?.useCustomIcon && this.config.tracker?.customIconUrl) {
-            // Use custom image icon
-            customIcon = L.icon({
-                iconUrl: this.config.tracker.customIconUrl,
-                iconSize: this.config.tracker.customIconSize || [32, 32],
-                iconAnchor: [(this.config.tracker.customIconSize[0] || 32) / 2, (this.config.tracker.customIconSize[1] || 32) / 2]
+        // A single tracker needs no picker
+        panel.style.display = devices.length > 1 ? 'block' : 'none';
+
+        const now = Date.now();
+        list.innerHTML = devices.map(device => {
+            const latest = device.latest;
+            let status = 'offline';
+            let statusText = 'Offline';
+            if (latest && now - new Date(latest.lastPacketTimestamp).getTime() <= 60000) {
+                status = latest.fix ? 'online' : 'no-gps';
+                statusText = latest.fix ? 'Online' : 'No GPS';
+            }
+            const selected = device.id === this.selectedDevice ? ' selected' : '';
+            return `
+                <li class="device-item${selected}" data-device="${this.escapeHtml(device.id)}">
+                    <span class="device-dot" style="background-color: ${device.color}">${this.escapeHtml(device.icon)}</span>
+                    <span class="device-name">${this.escapeHtml(device.name)}</span>
+                    <span class="status-value ${status}">${statusText}</span>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.device-item').forEach(item => {
+            item.addEventListener('click', () => {
+                this.selectDevice(item.dataset.device);
+                this.centerOnTracker();
             });
-        } else {
-            // Use default div icon
-            customIcon = L.divIcon({
-                className: 'tracker-marker',
-                html: '<div class="tracker-icon"></div>',
-                iconSize: [30, 30],
-                iconAnchor: [15, 15]
+        });
+    }
+
+    // Both variants are div icons so the heading rotation never fights Leaflet's own transform
+    createDeviceIcon(device, overspeed = false) {
+        const className = overspeed ? 'tracker-marker overspeed' : 'tracker-marker';
+        if (!device?.icon && this.config.tracker?.useCustomIcon && this.config.tracker?.customIconUrl) {
+            // Use custom image icon, turned as a whole to the heading
+            const [width, height] = this.config.tracker.customIconSize || [32, 32];
+            return L.divIcon({
+                className,
+                html: `<img class="tracker-image" src="${this.escapeHtml(this.config.tracker.customIconUrl)}" style="width: ${width}px; height: ${height}px" alt="">`,
+                iconSize: [width, height],
+                iconAnchor: [width / 2, height / 2]
             });
         }
 
-        this.currentMarker = L.marker(newPosition, { icon: customIcon })
-            .addTo(this.map)
-            .bindPopup(this.createPopupContent(data));
+        // Use default div icon in the device color, with an arrow around it for the heading
+        const color = device?.color || this.config.tracker?.defaultIconColor || '#3388ff';
+        return L.divIcon({
+            className,
+            html: `<div class="tracker-heading"></div><div class="tracker-icon" style="background-color: ${color}">${this.escapeHtml(device?.icon || '')}</div>`,
+            iconSize: [30, 30],
+            iconAnchor: [15, 15]
+        });
+    }
 
-        // Restore popup state: open if it was open before, or auto-open on first position
-        if (popupWasOpen || (!this.lastPosition)) {
-            this.currentMarker.openPopup();
+    // Moves the device's marker in place; animate is off while scrubbing through playback
+    updatePosition(data, animate = !this.playback.active) {
+        const id = data.device || 'default';
+        const isSelected = id === this.selectedDevice;
+        const device = this.devices[id];
+        const iconKey = `${device?.color}|${device?.icon}|${!!data.overspeed}`;
+        let marker = this.deviceMarkers[id];
+
+        if (!marker) {
+            marker = L.marker([data.lat, data.lng], { icon: this.createDeviceIcon(device, !!data.overspeed) })
+                .addTo(this.map)
+                .bindPopup(this.createPopupContent(data));
+            marker.on('click', () => this.selectDevice(id));
+            marker.track = {
+                iconKey,
+                raw: null,         // last reported position, before smoothing
+                fixTime: null,     // epoch ms of that fix
+                heading: null,     // degrees, null until the device has moved
+                rotation: 0,       // heading unwrapped, so the CSS transition turns the short way
+                target: null,      // where the marker is headed, after smoothing
+                filter: new KalmanPositionFilter(),
+                frame: null        // pending animation frame
+            };
+            this.deviceMarkers[id] = marker;
+        } else {
+            // Replacing the icon redraws it, so only do that when its look changes
+            if (marker.track.iconKey !== iconKey) {
+                marker.setIcon(this.createDeviceIcon(device, !!data.overspeed));
+                marker.track.iconKey = iconKey;
+            }
+            marker.setPopupContent(this.createPopupContent(data));
+        }
+
+        const track = marker.track;
+        const fixTime = new Date(data.lastFixTimestamp || data.timestamp || Date.now()).getTime();
+        const previousFixTime = track.fixTime;
+        if (fixTime !== previousFixTime || !animate) {
+            // Polling and device selection hand in the same fix again; it must not count twice
+            this.updateHeading(track, data);
+            track.raw = [data.lat, data.lng];
+            track.fixTime = fixTime;
+            track.target = animate ? this.smoothPosition(track, data, fixTime) : track.raw;
+        }
+
+        const target = track.target;
+        if (animate && this.config.tracker?.animateMarker !== false) {
+            // Slide over the time the device took between fixes, so the marker arrives as the next one is due
+            const interval = previousFixTime !== null && fixTime > previousFixTime
+                ? fixTime - previousFixTime
+                : this.config.api?.updateInterval || 2000;
+            this.animateMarker(marker, target, Math.min(interval, MARKER_MAX_ANIMATION_MS));
+        } else {
+            cancelAnimationFrame(track.frame);
+            marker.setLatLng(target);
         }
+        this.applyHeading(marker);
 
-        // Auto-center on first position or if no previous position
+        if (!isSelected) return;
+
+        // Auto-open the popup and center on the first position
         if (!this.lastPosition) {
-            this.map.setView(newPosition, 16);
+            marker.openPopup();
+            this.map.setView(target, 16);
+        }
+
+        this.lastPosition = target;
+    }
+
+    // The filter only runs on slow fixes; at speed it would lag behind, so it restarts from the raw fix
+    smoothPosition(track, data, fixTime) {
+        if (this.config.tracker?.smoothing !== 'kalman' || data.private) return track.raw;
+        if (typeof data.speed === 'number' && data.speed > SMOOTHING_MAX_SPEED) {
+            track.filter.reset();
+            return track.raw;
+        }
+        // Phone apps report accuracy in meters; otherwise estimate it from HDOP (about 5 m per unit)
+        const accuracy = typeof data.accuracy === 'number' ? data.accuracy
+            : typeof data.hdop === 'number' ? data.hdop * 5 : 10;
+        return track.filter.update(data.lat, data.lng, Math.max(accuracy, 1), fixTime);
+    }
+
+    // Course reported by the device, else the bearing of the last move; kept while standing still
+    updateHeading(track, data) {
+        if (data.private) {
+            // Positions snapped to a privacy zone must not hint at the way in or out
+            track.heading = null;
+            return;
         }
+        if (typeof data.speed === 'number' && data.speed < HEADING_MIN_SPEED) return;
+        if (typeof data.course === 'number') {
+            track.heading = data.course;
+        } else if (track.raw && this.map.distance(track.raw, [data.lat, data.lng]) >= HEADING_MIN_METERS) {
+            track.heading = this.bearingBetween(track.raw, [data.lat, data.lng]);
+        }
+    }
 
-        this.lastPosition = newPosition;
+    bearingBetween([lat1, lng1], [lat2, lng2]) {
+        const toRad = deg => deg * Math.PI / 180;
+        const y = Math.sin(toRad(lng2 - lng1)) * Math.cos(toRad(lat2));
+        const x = Math.cos(toRad(lat1)) * Math.sin(toRad(lat2)) -
+            Math.sin(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.cos(toRad(lng2 - lng1));
+        return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+    }
+
+    applyHeading(marker) {
+        const rotor = marker.getElement()?.querySelector('.tracker-image, .tracker-heading');
+        if (!rotor) return;
+        const track = marker.track;
+        const show = this.config.tracker?.rotateIcon !== false && track.heading !== null;
+        if (show) track.rotation += ((track.heading - track.rotation) % 360 + 540) % 360 - 180;
+        rotor.style.transform = show ? `rotate(${track.rotation}deg)` : '';
+        rotor.classList.toggle('active', show);
+    }
+
+    // Slides the marker from where it is drawn now (possibly mid-animation) to target
+    animateMarker(marker, target, duration) {
+        cancelAnimationFrame(marker.track.frame);
+        const from = marker.getLatLng();
+        const distance = this.map.distance(from, target);
+        if (duration <= 0 || distance < 0.5 || distance > MARKER_JUMP_METERS) {
+            marker.setLatLng(target);
+            return;
+        }
+
+        const start = performance.now();
+        const step = now => {
+            const t = Math.min((now - start) / duration, 1);
+            marker.setLatLng([from.lat + (target[0] - from.lat) * t, from.lng + (target[1] - from.lng) * t]);
+            marker.track.frame = t < 1 ? requestAnimationFrame(step) : null;
+        };
+        marker.track.frame = requestAnimationFrame(step);
+    }
+
+    removeDeviceMarker(id) {
+        if (this.deviceMarkers[id]) {
+            cancelAnimationFrame(this.deviceMarkers[id].track.frame);
+            this.map.removeLayer(this.deviceMarkers[id]);
+            delete this.deviceMarkers[id];
+        }
     }
 
     createPopupContent(data) {
-        const displaySpeed = data.speed < 2 ? 0 : data.speed.toFixed(2);
         const config = this.config.tracker?.popupData || {};
-        const trackerTitle = this.config.ui?.title?.tracker || "GPS Tracker";
+        // With several devices the popup is titled by device name
+        const device = this.devices[data.device];
+        const trackerTitle = device && Object.keys(this.devices).length > 1
+            ? this.escapeHtml(device.name)
+            : (this.config.ui?.title?.tracker || "GPS Tracker");
         const description = this.config.tracker?.description || "";
 
         let content = `<div class="tracker-popup">`;
@@ -268,7 +699,10 @@ class GPSTracker {
             content += `<div style="margin-bottom: 8px; font-style: italic;">${description}</div>`;
         }
 
-        if (config.showLatitude || config.showLongitude) {
+        if (data.private) {
+            // Snapped to a privacy zone center; the real coordinates are not known here
+            content += `<em>Approximate location (privacy zone)</em><br><br>`;
+        } else if (config.showLatitude || config.showLongitude) {
             content += `<strong>Coordinates:</strong><br>`;
             if (config.showLatitude && config.showLongitude) {
                 content += `${data.lat.toFixed(6)}, ${data.lng.toFixed(6)}<br><br>`;
@@ -279,19 +713,32 @@ class GPSTracker {
             }
         }
 
-        if (config.showSpeed) {
+        if (config.showSpeed && typeof data.speed === 'number') {
             const speedUnit = this.config.ui?.dataPanel?.units?.speed || "km/h";
-            content += `<strong>Speed:</strong> ${displaySpeed} ${speedUnit}<br>`;
+            content += `<strong>Speed:</strong> ${this.formatSpeed(data.speed)} ${speedUnit}<br>`;
+            if (data.overspeed) {
+                content += `<strong class="overspeed">Over limit:</strong> ${data.overspeed.limit} ${speedUnit}${data.overspeed.zoneName ? ` in ${this.escapeHtml(data.overspeed.zoneName)}` : ''}<br>`;
+            }
         }
 
-        if (config.showAltitude) {
+        if (config.showAltitude && typeof data.alt === 'number') {
             const altUnit = this.config.ui?.dataPanel?.units?.altitude || "m";
             content += `<strong>Altitude:</strong> ${data.alt.toFixed(1)} ${altUnit}<br>`;
         }
 
+        // Older configs have no flag for this, so it is on unless disabled
+        if (config.showNearestPOI !== false && data.nearestPOI) {
+            content += `<strong>Nearest:</strong> ${this.formatNearestPOI(data.nearestPOI)}<br>`;
+        }
+
         if (config.showTimestamp) {
-            const ts = this.lastFixTime ? this.lastFixTime.toLocaleTimeString() : '—';
-            content += `<strong>Last Fix:</strong> ${ts}`;
+            if (this.playback.active) {
+                content += `<strong>Recorded:</strong> ${new Date(data.timestamp).toLocaleString()}`;
+            } else {
+                const fixTime = data.lastFixTimestamp ? new Date(data.lastFixTimestamp) : this.lastFixTime;
+                const ts = fixTime ? fixTime.toLocaleTimeString() : '—';
+                content += `<strong>Last Fix:</strong> ${ts}`;
+            }
         }
 
         content += `</div></div>`;
@@ -299,14 +746,39 @@ class GPSTracker {
     }
 
     updateDataDisplay(data) {
-        const displaySpeed = data.speed < 2 ? 0 : data.speed.toFixed(2);
         const speedUnit = this.config.ui?.dataPanel?.units?.speed || "km/h";
         const altUnit = this.config.ui?.dataPanel?.units?.altitude || "m";
+        // Share links and privacy zones may withhold speed and altitude
+        const hasSpeed = typeof data.speed === 'number';
+        const hasAlt = typeof data.alt === 'number';
+        // Positions inside a privacy zone are hidden or only approximate
+        const hasPosition = !data.private && data.lat !== null && data.lng !== null;
+
+        document.getElementById('latitude').textContent = hasPosition ? data.lat.toFixed(6) : '--';
+        document.getElementById('longitude').textContent = hasPosition ? data.lng.toFixed(6) : '--';
+        document.getElementById('speed').textContent = hasSpeed ? `${this.formatSpeed(data.speed)} ${speedUnit}` : '--';
+        document.getElementById('speed').classList.toggle('overspeed', !!data.overspeed);
+        document.getElementById('altitude').textContent = hasAlt ? `${data.alt.toFixed(1)} ${altUnit}` : '--';
+        document.getElementById('nearestPoi').innerHTML = data.nearestPOI ? this.formatNearestPOI(data.nearestPOI) : '--';
+    }
+
+    formatSpeed(speed) {
+        return speed < 2 ? 0 : speed.toFixed(2);
+    }
+
+    formatNearestPOI(nearest) {
+        return `${this.escapeHtml(nearest.icon)} ${this.escapeHtml(nearest.title)}, ` +
+            `${this.formatDistance(nearest.distance)} ${this.compassPoint(nearest.bearing)}`;
+    }
 
-        document.getElementById('latitude').textContent = data.lat.toFixed(6);
-        document.getElementById('longitude').textContent = data.lng.toFixed(6);
-        document.getElementById('speed').textContent = `${displaySpeed} ${speedUnit}`;
-        document.getElementById('altitude').textContent = `${data.alt.toFixed(1)} ${altUnit}`;
+    formatDistance(meters) {
+        if (meters < 1000) return `${Math.round(meters)} m`;
+        return `${(meters / 1000).toFixed(meters < 10000 ? 1 : 0)} km`;
+    }
+
+    compassPoint(bearing) {
+        const points = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+        return points[Math.round(bearing / 45) % 8];
     }
 
     updateConnectionStatus() {
@@ -357,9 +829,45 @@ class GPSTracker {
     }
 
     startTracking() {
+        if (this.accessDenied) return;
+
         // Initial update
         this.updateGPSData();
 
+        // Prefer pushed updates; polling only runs while the stream is unavailable
+        this.connectStream();
+
+        // Pushes only arrive on change, so re-evaluate staleness on a timer
+        if (!this.statusInterval) {
+            this.statusInterval = setInterval(() => {
+                this.updateConnectionStatus();
+                this.renderDeviceList();
+                this.renderQualityPanel(); // fix age and the sliding window
+            }, 5000);
+        }
+    }
+
+    stopTracking() {
+        this.stopPolling();
+        this.streamAttempt++;
+        this.closeStream();
+        if (this.streamRetryTimer) {
+            clearTimeout(this.streamRetryTimer);
+            this.streamRetryTimer = null;
+        }
+        if (this.statusInterval) {
+            clearInterval(this.statusInterval);
+            this.statusInterval = null;
+        }
+    }
+
+    isTracking() {
+        return !!(this.pollInterval || this.eventSource || this.streamRetryTimer);
+    }
+
+    startPolling() {
+        if (this.pollInterval) return;
+
         // Set up polling interval using configured interval
         const updateInterval = this.config.api?.updateInterval || 2000;
         this.pollInterval = setInterval(() => {
@@ -367,13 +875,589 @@ class GPSTracker {
         }, updateInterval);
     }
 
-    stopTracking() {
+    stopPolling() {
         if (this.pollInterval) {
             clearInterval(this.pollInterval);
             this.pollInterval = null;
         }
     }
 
+    // EventSource cannot send headers: share links go in the URL as they are, an API key is
+    // traded for a single-use stream token so the key itself never appears in a URL
+    async streamParams() {
+        const params = new URLSearchParams();
+        if (this.shareToken) {
+            params.set('share', this.shareToken);
+        } else if (this.apiKey) {
+            const response = await fetch('/api/stream/token', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.apiKey}` }
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            params.set('token', (await response.json()).token);
+        }
+        return params;
+    }
+
+    async connectStream() {
+        this.streamRetryTimer = null;
+        if (!window.EventSource) {
+            this.startPolling();
+            return;
+        }
+
+        this.closeStream();
+        const attempt = ++this.streamAttempt;
+        let params;
+        try {
+            params = await this.streamParams();
+        } catch (error) {
+            if (attempt !== this.streamAttempt) return;
+            console.error('Error getting a stream token:', error);
+            this.retryStream();
+            return;
+        }
+        if (attempt !== this.streamAttempt) return;
+        const source = new EventSource(`/api/stream?${params}`);
+        this.eventSource = source;
+
+        source.addEventListener('open', () => {
+            this.streamRetryDelay = 1000;
+            this.stopPolling();
+            // Catch up on anything missed while disconnected
+            this.updateGPSData();
+        });
+
+        source.addEventListener('gps', (e) => {
+            this.handleStreamPacket(JSON.parse(e.data));
+        });
+
+        source.addEventListener('devices', () => {
+            this.updateGPSData();
+        });
+
+        source.addEventListener('geofence', (e) => {
+            this.handleGeofenceEvent(JSON.parse(e.data));
+        });
+
+        source.addEventListener('geofences', () => {
+            this.loadGeofences();
+        });
+
+        source.addEventListener('pois', () => {
+            this.loadPOIs();
+        });
+
+        source.addEventListener('overspeed', (e) => {
+            this.handleOverspeedEvent(JSON.parse(e.data));
+        });
+
+        source.addEventListener('poi', (e) => {
+            this.handlePOIEvent(JSON.parse(e.data));
+        });
+
+        source.addEventListener('revoked', () => {
+            this.denyAccess(this.shareToken
+                ? 'This share link has been revoked or has expired.'
+                : 'This API key has been revoked, rotated or has expired. Enter a new key in the Admin Panel.');
+        });
+
+        source.addEventListener('error', () => {
+            // Take over reconnecting from the browser so we can back off (and get a fresh token)
+            this.retryStream();
+        });
+    }
+
+    retryStream() {
+        this.closeStream();
+        this.startPolling();
+        const delay = this.streamRetryDelay;
+        this.streamRetryDelay = Math.min(delay * 2, 60000);
+        this.streamRetryTimer = setTimeout(() => this.connectStream(), delay);
+    }
+
+    closeStream() {
+        if (this.eventSource) {
+            this.eventSource.close();
+            this.eventSource = null;
+        }
+    }
+
+    toggleExportPanel() {
+        const panel = document.getElementById('exportPanel');
+        if (panel.style.display === 'none') {
+            // Default to the last 24 hours
+            const to = new Date();
+            const from = new Date(to.getTime() - 24 * 60 * 60 * 1000);
+            document.getElementById('exportFrom').value = this.toDateTimeLocal(from);
+            document.getElementById('exportTo').value = this.toDateTimeLocal(to);
+            panel.style.display = 'flex';
+        } else {
+            panel.style.display = 'none';
+        }
+    }
+
+    async downloadExport() {
+        const fromValue = document.getElementById('exportFrom').value;
+        const toValue = document.getElementById('exportTo').value;
+        const format = document.getElementById('exportFormat').value;
+        if (!fromValue || !toValue) {
+            this.showNotification('Pick a time window first', 'error');
+            return;
+        }
+
+        const params = new URLSearchParams({
+            format,
+            from: new Date(fromValue).toISOString(),
+            to: new Date(toValue).toISOString()
+        });
+        if (this.selectedDevice) params.set('device', this.selectedDevice);
+
+        try {
+            const response = await this.apiFetch(`/api/export?${params}`);
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                this.showNotification(error.error || 'Export failed', 'error');
+                return;
+            }
+
+            // Honour the server-chosen filename
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const blob = await response.blob();
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = match ? match[1] : `track.${format}`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Error exporting track:', error);
+            this.showNotification('Export failed', 'error');
+        }
+    }
+
+    togglePlaybackPanel() {
+        const panel = document.getElementById('playbackPanel');
+        if (panel.style.display === 'none') {
+            // Default to the last hour
+            const to = new Date();
+            const from = new Date(to.getTime() - 60 * 60 * 1000);
+            document.getElementById('playbackFrom').value = this.toDateTimeLocal(from);
+            document.getElementById('playbackTo').value = this.toDateTimeLocal(to);
+            panel.style.display = 'flex';
+        } else {
+            this.exitPlayback();
+            panel.style.display = 'none';
+        }
+    }
+
+    toDateTimeLocal(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+            `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    async loadPlayback() {
+        const fromValue = document.getElementById('playbackFrom').value;
+        const toValue = document.getElementById('playbackTo').value;
+        if (!fromValue || !toValue) {
+            this.showNotification('Pick a time window first', 'error');
+            return;
+        }
+
+        const from = new Date(fromValue);
+        const to = new Date(toValue);
+        if (from >= to) {
+            this.showNotification('Start must be before end', 'error');
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({
+                from: from.toISOString(),
+                to: to.toISOString(),
+                limit: 10000
+            });
+            if (this.selectedDevice) params.set('device', this.selectedDevice);
+            const response = await this.apiFetch(`/api/history?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const history = await response.json();
+            const points = history.points.filter(p => p.fix && p.lat !== null && p.lng !== null);
+
+            if (points.length === 0) {
+                this.showNotification('No recorded fixes in this window', 'error');
+                return;
+            }
+
+            this.startPlayback(points);
+            this.showNotification(`Loaded ${points.length} recorded positions`, 'success');
+        } catch (error) {
+            console.error('Error loading history:', error);
+            this.showNotification('Failed to load recorded track', 'error');
+        }
+    }
+
+    startPlayback(points) {
+        this.pausePlayback();
+        this.clearPlaybackTrail();
+
+        this.playback.active = true;
+        this.playback.points = points;
+        this.playback.index = -1;
+
+        // Only the replayed device stays on the map
+        Object.keys(this.deviceMarkers).forEach(id => {
+            if (id !== this.selectedDevice) this.removeDeviceMarker(id);
+        });
+
+        const latlngs = points.map(p => [p.lat, p.lng]);
+        this.playback.trail = L.polyline(latlngs, { className: 'tracker-trail' }).addTo(this.map);
+        this.map.fitBounds(this.playback.trail.getBounds(), { padding: [30, 30] });
+
+        const start = new Date(points[0].timestamp).getTime();
+        const end = new Date(points[points.length - 1].timestamp).getTime();
+        const scrubber = document.getElementById('playbackScrubber');
+        scrubber.min = start;
+        scrubber.max = end;
+        scrubber.disabled = false;
+        document.getElementById('playbackToggle').disabled = false;
+
+        this.seekPlayback(start);
+    }
+
+    seekPlayback(time) {
+        const points = this.playback.points;
+        if (!this.playback.active || points.length === 0) return;
+
+        this.playback.time = time;
+        document.getElementById('playbackScrubber').value = time;
+        document.getElementById('playbackTime').textContent = new Date(time).toLocaleString();
+
+        // Last recorded point at or before the scrubbed moment
+        let index = 0;
+        while (index + 1 < points.length && new Date(points[index + 1].timestamp).getTime() <= time) {
+            index++;
+        }
+
+        if (index !== this.playback.index) {
+            this.playback.index = index;
+            this.updatePosition(points[index]);
+            this.updateDataDisplay(points[index]);
+        }
+    }
+
+    playPlayback() {
+        if (!this.playback.active || this.playback.playing) return;
+
+        const points = this.playback.points;
+        const end = new Date(points[points.length - 1].timestamp).getTime();
+        if (this.playback.time >= end) {
+            this.seekPlayback(new Date(points[0].timestamp).getTime());
+        }
+
+        const tick = 100;
+        this.playback.playing = true;
+        document.getElementById('playbackToggle').textContent = 'Pause';
+        this.playback.timer = setInterval(() => {
+            const next = Math.min(this.playback.time + tick * this.playback.speed, end);
+            this.seekPlayback(next);
+            if (next >= end) this.pausePlayback();
+        }, tick);
+    }
+
+    pausePlayback() {
+        if (this.playback.timer) {
+            clearInterval(this.playback.timer);
+            this.playback.timer = null;
+        }
+        this.playback.playing = false;
+        document.getElementById('playbackToggle').textContent = 'Play';
+    }
+
+    clearPlaybackTrail() {
+        if (this.playback.trail) {
+            this.map.removeLayer(this.playback.trail);
+            this.playback.trail = null;
+        }
+    }
+
+    exitPlayback() {
+        if (!this.playback.active) return;
+
+        this.pausePlayback();
+        this.clearPlaybackTrail();
+        this.playback.active = false;
+        this.playback.points = [];
+        this.playback.index = -1;
+
+        const scrubber = document.getElementById('playbackScrubber');
+        scrubber.min = 0;
+        scrubber.max = 0;
+        scrubber.value = 0;
+        scrubber.disabled = true;
+        document.getElementById('playbackToggle').disabled = true;
+        document.getElementById('playbackTime').textContent = '--:--:--';
+
+        // Drop the replayed marker and jump straight back to the live positions
+        Object.keys(this.deviceMarkers).forEach(id => this.removeDeviceMarker(id));
+        this.lastPosition = null;
+        this.updateGPSData();
+    }
+
+    toggleTripsPanel() {
+        const panel = document.getElementById('tripsPanel');
+        if (panel.style.display === 'none') {
+            panel.style.display = 'flex';
+            this.loadTrips();
+        } else {
+            panel.style.display = 'none';
+            this.clearTripHighlight();
+        }
+    }
+
+    toggleQualityPanel() {
+        const panel = document.getElementById('qualityPanel');
+        this.quality.open = panel.style.display === 'none';
+        panel.style.display = this.quality.open ? 'flex' : 'none';
+        if (this.quality.open) this.loadQualityHistory();
+    }
+
+    // Appends the selected device's latest packet; switching devices starts a new series
+    recordQualitySample(data) {
+        const quality = this.quality;
+        if (data.device !== quality.device) {
+            quality.device = data.device;
+            quality.samples = [];
+            if (quality.open) this.loadQualityHistory();
+        }
+        const time = new Date(data.lastPacketTimestamp).getTime();
+        const last = quality.samples[quality.samples.length - 1];
+        if (!time || (last && time <= last.time)) return;
+
+        // The state keeps the last reported values; a packet without them is a gap, as in history
+        const satsReported = data.lastSatsTimestamp === data.lastPacketTimestamp;
+        const hdopReported = data.lastHdopTimestamp === data.lastPacketTimestamp;
+        quality.samples.push({
+            time,
+            fix: !!data.fix,
+            sats: satsReported && typeof data.sats === 'number' ? data.sats : null,
+            hdop: hdopReported && typeof data.hdop === 'number' ? data.hdop : null
+        });
+        const from = Date.now() - quality.minutes * 60000;
+        while (quality.samples.length > 0 && quality.samples[0].time < from) quality.samples.shift();
+    }
+
+    // Fills the window from recorded history; share links have no history access and build it up live
+    async loadQualityHistory() {
+        const device = this.quality.device;
+        this.renderQualityPanel();
+        if (this.shareToken || !device) return;
+
+        try {
+            const params = new URLSearchParams({
+                device,
+                from: new Date(Date.now() - this.quality.minutes * 60000).toISOString(),
+                limit: 10000
+            });
+            const response = await this.apiFetch(`/api/history?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const history = await response.json();
+            if (device !== this.quality.device) return; // selection changed meanwhile
+
+            const recorded = history.points.map(p => ({
+                time: new Date(p.timestamp).getTime(),
+                fix: !!p.fix,
+                sats: p.sats,
+                hdop: p.hdop
+            }));
+            // Keep live samples that arrived after the history was read
+            const lastRecorded = recorded.length > 0 ? recorded[recorded.length - 1].time : 0;
+            this.quality.samples = [...recorded, ...this.quality.samples.filter(s => s.time > lastRecorded)];
+            this.renderQualityPanel();
+        } catch (error) {
+            console.error('Error loading signal history:', error);
+        }
+    }
+
+    renderQualityPanel() {
+        if (!this.quality.open) return;
+        const data = this.devices[this.quality.device]?.latest;
+
+        let sats = typeof data?.sats === 'number' ? `${data.sats}` : '--';
+        // NMEA ingest also reports the satellites in view
+        if (Array.isArray(data?.satellites)) sats += ` / ${data.satellites.length} in view`;
+        document.getElementById('qualitySats').textContent = sats;
+        document.getElementById('qualityHdop').textContent = typeof data?.hdop === 'number'
+            ? `${data.hdop.toFixed(1)} (${this.hdopRating(data.hdop)})`
+            : '--';
+        document.getElementById('qualityFix').textContent = !data ? '--'
+            : data.fix ? (data.fixType && data.fixType !== 'none' ? data.fixType : 'Yes') : 'No fix';
+        document.getElementById('qualityFixAge').textContent = data?.lastFixTimestamp
+            ? this.formatAge(Date.now() - new Date(data.lastFixTimestamp).getTime())
+            : '--';
+
+        const to = Date.now();
+        const from = to - this.quality.minutes * 60000;
+        this.renderQualityChart('satsChart', 'sats', from, to, 12);
+        this.renderQualityChart('hdopChart', 'hdop', from, to, 5, 20);
+        this.renderFixTimeline(from, to);
+    }
+
+    // Usual rating scale for dilution of precision
+    hdopRating(hdop) {
+        if (hdop <= 1) return 'ideal';
+        if (hdop <= 2) return 'excellent';
+        if (hdop <= 5) return 'good';
+        if (hdop <= 10) return 'moderate';
+        if (hdop <= 20) return 'fair';
+        return 'poor';
+    }
+
+    formatAge(ms) {
+        const seconds = Math.max(Math.round(ms / 1000), 0);
+        if (seconds < 60) return `${seconds} s`;
+        if (seconds < 3600) return `${Math.floor(seconds / 60)} min ${seconds % 60} s`;
+        return `${Math.floor(seconds / 3600)} h ${Math.floor(seconds % 3600 / 60)} min`;
+    }
+
+    // Line chart of one sample field; the scale grows from minTop with the data, up to maxTop
+    renderQualityChart(id, field, from, to, minTop, maxTop = Infinity) {
+        const samples = this.quality.samples.filter(s => s.time >= from);
+        const values = samples.map(s => s[field]).filter(v => typeof v === 'number');
+        const top = Math.min(Math.max(minTop, ...values), maxTop);
+        const x = time => ((time - from) / (to - from) * QUALITY_CHART_WIDTH).toFixed(1);
+        const y = value => (QUALITY_CHART_HEIGHT * (1 - Math.min(value, top) / top)).toFixed(1);
+
+        // Missing values and long silences break the line
+        let path = '';
+        let previous = null;
+        for (const sample of samples) {
+            const value = sample[field];
+            if (typeof value !== 'number') {
+                previous = null;
+                continue;
+            }
+            const point = `${x(sample.time)},${y(value)}`;
+            // A lone sample is a zero-length segment, drawn as a dot by the round line cap
+            path += previous && sample.time - previous.time <= QUALITY_GAP_MS ? `L${point} ` : `M${point} L${point} `;
+            previous = sample;
+        }
+
+        document.getElementById(id).innerHTML = path ? `<path class="quality-line" d="${path}"></path>` : '';
+        document.getElementById(`${id}Scale`).textContent = `(0–${top})`;
+    }
+
+    // One bar per packet, lasting until the next one (or QUALITY_GAP_MS at most)
+    renderFixTimeline(from, to) {
+        const samples = this.quality.samples.filter(s => s.time >= from);
+        const scale = QUALITY_CHART_WIDTH / (to - from);
+        const bars = samples.map((sample, i) => {
+            const end = Math.min(samples[i + 1]?.time ?? to, sample.time + QUALITY_GAP_MS, to);
+            const width = Math.max((end - sample.time) * scale, 0.5);
+            return `<rect class="${sample.fix ? 'quality-fix' : 'quality-no-fix'}" x="${((sample.time - from) * scale).toFixed(1)}" y="0" width="${width.toFixed(1)}" height="${QUALITY_CHART_HEIGHT}"></rect>`;
+        });
+        document.getElementById('fixTimeline').innerHTML = bars.join('');
+    }
+
+    async loadTrips() {
+        const list = document.getElementById('tripList');
+        if (!this.selectedDevice) {
+            list.innerHTML = '<li class="event-item">No tracker yet</li>';
+            return;
+        }
+
+        try {
+            const params = new URLSearchParams({ device: this.selectedDevice, limit: 20 });
+            const response = await this.apiFetch(`/api/trips?${params}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            this.trips = (await response.json()).trips;
+            this.renderTripList();
+        } catch (error) {
+            console.error('Error loading trips:', error);
+            list.innerHTML = '<li class="event-item">Failed to load trips</li>';
+        }
+    }
+
+    renderTripList() {
+        const list = document.getElementById('tripList');
+        if (this.trips.length === 0) {
+            list.innerHTML = '<li class="event-item">No trips recorded yet</li>';
+            return;
+        }
+
+        // Places inside a hidden privacy zone come without coordinates
+        const placeName = place => {
+            if (place.poi) return this.escapeHtml(place.poi);
+            if (place.lat === null || place.lng === null) return 'Private location';
+            return `${place.lat.toFixed(4)}, ${place.lng.toFixed(4)}`;
+        };
+        list.innerHTML = this.trips.map(trip => {
+            const start = new Date(trip.start.timestamp);
+            const end = new Date(trip.end.timestamp);
+            const selected = trip.id === this.selectedTrip ? ' selected' : '';
+            const endTime = trip.ongoing ? 'now' : end.toLocaleTimeString();
+            return `
+                <li class="event-item trip-item${selected}" data-trip="${this.escapeHtml(trip.id)}">
+                    <span><span class="event-time">${start.toLocaleDateString()} ${start.toLocaleTimeString()}</span> – ${endTime}</span>
+                    <span class="trip-places">${placeName(trip.start)} → ${trip.ongoing ? 'ongoing' : placeName(trip.end)}</span>
+                    <span>${this.formatDistance(trip.distance)} · ${Math.round(trip.movingTime / 60)} min moving ·
+                        avg ${trip.avgSpeed.toFixed(1)} km/h · max ${trip.maxSpeed.toFixed(1)} km/h · ↑${trip.elevationGain} m</span>
+                </li>
+            `;
+        }).join('');
+
+        list.querySelectorAll('.trip-item').forEach(item => {
+            item.addEventListener('click', () => {
+                if (item.dataset.trip === this.selectedTrip) {
+                    this.clearTripHighlight();
+                    this.renderTripList();
+                } else {
+                    this.highlightTrip(item.dataset.trip);
+                }
+            });
+        });
+    }
+
+    async highlightTrip(id) {
+        try {
+            const response = await this.apiFetch(`/api/trips/${encodeURIComponent(id)}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const trip = await response.json();
+
+            this.clearTripHighlight();
+            this.selectedTrip = id;
+            const latlngs = trip.points.map(p => [p.lat, p.lng]);
+            if (latlngs.length === 0) {
+                // Every point lies in a hidden privacy zone
+                this.showNotification('This trip has no points outside privacy zones', 'info');
+                this.renderTripList();
+                return;
+            }
+            const line = L.polyline(latlngs, { className: 'trip-trail' });
+            this.tripLayer = L.featureGroup([
+                line,
+                L.circleMarker(latlngs[0], { radius: 6, color: '#1e8e3e', fillOpacity: 1 }).bindTooltip('Start'),
+                L.circleMarker(latlngs[latlngs.length - 1], { radius: 6, color: '#e4572e', fillOpacity: 1 }).bindTooltip(trip.ongoing ? 'Latest' : 'End')
+            ]).addTo(this.map);
+            this.map.fitBounds(line.getBounds(), { padding: [30, 30] });
+            this.renderTripList();
+        } catch (error) {
+            console.error('Error loading trip:', error);
+            this.showNotification('Failed to load trip', 'error');
+        }
+    }
+
+    clearTripHighlight() {
+        if (this.tripLayer) {
+            this.map.removeLayer(this.tripLayer);
+            this.tripLayer = null;
+        }
+        this.selectedTrip = null;
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element if it doesn't exist
         let notification = document.getElementById('trackerNotification');
@@ -411,11 +1495,14 @@ class GPSTracker {
     displayPOIs(pois) {
         // Clear existing POI markers
         this.clearPOIMarkers();
+        this.pois = pois;
 
         pois.forEach(poi => {
+            // poi.json can be edited by hand, so only a plain hex color goes into the style attribute
+            const color = /^#[0-9A-Fa-f]{6}$/.test(poi.color) ? poi.color : '#356ac3';
             const poiIcon = L.divIcon({
                 className: 'poi-marker',
-                html: `<div class="poi-icon" style="background-color: ${poi.color}">${poi.icon}</div>`,
+                html: `<div class="poi-icon" style="background-color: ${color}">${this.escapeHtml(poi.icon)}</div>`,
                 iconSize: [32, 32],
                 iconAnchor: [16, 16],
                 popupAnchor: [0, -16]
@@ -434,14 +1521,14 @@ class GPSTracker {
         return `
             <div class="poi-popup">
                 <div class="poi-popup-header">
-                    <span class="poi-popup-icon">${poi.icon}</span>
-                    <h3 class="poi-popup-title">${poi.title}</h3>
+                    <span class="poi-popup-icon">${this.escapeHtml(poi.icon)}</span>
+                    <h3 class="poi-popup-title">${this.escapeHtml(poi.title)}</h3>
                 </div>
                 <div class="poi-popup-content">
-                    <p class="poi-popup-description">${poi.description}</p>
+                    <p class="poi-popup-description">${this.escapeHtml(poi.description)}</p>
                     <div class="poi-popup-details">
                         <div class="poi-detail">
-                            <strong>Category:</strong> <span class="poi-category">${poi.category}</span>
+                            <strong>Category:</strong> <span class="poi-category">${this.escapeHtml(poi.category)}</span>
                         </div>
                         <div class="poi-detail">
                             <strong>Coordinates:</strong> ${poi.latitude.toFixed(6)}, ${poi.longitude.toFixed(6)}
@@ -452,6 +1539,162 @@ class GPSTracker {
         `;
     }
 
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text ?? '';
+        return div.innerHTML;
+    }
+
+    async loadGeofences() {
+        try {
+            const response = await this.apiFetch('/api/geofences');
+            if (response.ok) {
+                this.geofences = await response.json();
+                this.displayGeofences();
+            }
+        } catch (error) {
+            console.error('Error loading geofences:', error);
+        }
+    }
+
+    displayGeofences() {
+        this.geofenceLayers.forEach(layer => this.map.removeLayer(layer));
+        this.geofenceLayers = [];
+
+        this.geofences.forEach(fence => {
+            const style = { color: fence.color, weight: 2, fillOpacity: 0.1 };
+            const layer = fence.type === 'circle'
+                ? L.circle([fence.center.lat, fence.center.lng], { ...style, radius: fence.radius })
+                : L.polygon(fence.points, style);
+            layer.bindTooltip(this.escapeHtml(fence.name)).addTo(this.map);
+            this.geofenceLayers.push(layer);
+        });
+        this.renderGeofenceFeed();
+    }
+
+    async loadGeofenceEvents() {
+        try {
+            const response = await this.apiFetch('/api/geofences/events?limit=20');
+            if (response.ok) {
+                this.geofenceEvents = await response.json();
+                this.renderGeofenceFeed();
+            }
+        } catch (error) {
+            // silent
+        }
+    }
+
+    handleGeofenceEvent(event) {
+        this.geofenceEvents.unshift(event);
+        this.geofenceEvents = this.geofenceEvents.slice(0, 20);
+        this.renderGeofenceFeed();
+
+        const name = this.devices[event.device]?.name || event.device;
+        const verb = event.type === 'enter' ? 'entered' : 'left';
+        this.showNotification(`${name} ${verb} ${event.fenceName}`, 'info');
+    }
+
+    // Compares each polled device's atPOIs with the state it replaces, stream-delivered or polled
+    notifyPOIChanges(devices) {
+        const title = id => this.pois.find(poi => poi.id === id)?.title || `POI ${id}`;
+        devices.forEach(device => {
+            const before = this.devices[device.id]?.latest?.atPOIs;
+            const after = device.latest?.atPOIs;
+            // Nothing to compare on first sight of a device, or when a share link withholds atPOIs
+            if (!Array.isArray(before) || !Array.isArray(after)) return;
+            after.filter(id => !before.includes(id)).forEach(id =>
+                this.handlePOIEvent({ device: device.id, type: 'arrival', poiTitle: title(id) }));
+            before.filter(id => !after.includes(id)).forEach(id =>
+                this.handlePOIEvent({ device: device.id, type: 'departure', poiTitle: title(id) }));
+        });
+    }
+
+    handlePOIEvent(event) {
+        const name = this.devices[event.device]?.name || event.device;
+        if (event.type === 'arrival') {
+            this.showNotification(`${name} arrived at ${event.poiTitle}`, 'success');
+        } else {
+            this.showNotification(`${name} left ${event.poiTitle}`, 'info');
+        }
+    }
+
+    async loadSpeedViolations() {
+        try {
+            const response = await this.apiFetch('/api/speed-violations?limit=20');
+            if (response.ok) {
+                this.speedViolations = await response.json();
+                this.renderSpeedFeed();
+            }
+        } catch (error) {
+            // silent
+        }
+    }
+
+    handleOverspeedEvent(event) {
+        const name = this.devices[event.device]?.name || event.device;
+        if (event.active) {
+            const zone = event.zoneName ? ` in ${event.zoneName}` : '';
+            this.showNotification(`${name} is over the ${event.limit} km/h limit${zone}`, 'error');
+            return;
+        }
+
+        const { active, ...violation } = event;
+        this.speedViolations.unshift(violation);
+        this.speedViolations = this.speedViolations.slice(0, 20);
+        this.renderSpeedFeed();
+    }
+
+    // Ongoing violations come from the live device states, finished ones from the log
+    renderSpeedFeed() {
+        const panel = document.getElementById('speedPanel');
+        const feed = document.getElementById('speedFeed');
+        const showDevice = Object.keys(this.devices).length > 1;
+        const ongoing = Object.values(this.devices)
+            .filter(device => device.latest?.overspeed)
+            .map(device => ({ device: device.id, ...device.latest.overspeed, active: true }));
+        const violations = [...ongoing, ...this.speedViolations];
+
+        panel.style.display = violations.length > 0 ? 'flex' : 'none';
+
+        feed.innerHTML = violations.map(violation => {
+            const time = new Date(violation.start).toLocaleString();
+            const device = showDevice ? `${this.escapeHtml(this.devices[violation.device]?.name || violation.device)} ` : '';
+            const zone = violation.zoneName ? ` in ${this.escapeHtml(violation.zoneName)}` : '';
+            const duration = violation.active ? 'ongoing' : `${violation.duration}s`;
+            return `
+                <li class="event-item overspeed">
+                    <span class="event-time">${time}</span>
+                    <span>${device}<span class="event-type">${violation.peakSpeed.toFixed(0)} km/h</span> (limit ${violation.limit}${zone}), ${duration}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderGeofenceFeed() {
+        const panel = document.getElementById('geofencePanel');
+        const feed = document.getElementById('geofenceFeed');
+        const showDevice = Object.keys(this.devices).length > 1;
+
+        panel.style.display = this.geofences.length > 0 || this.geofenceEvents.length > 0 ? 'flex' : 'none';
+
+        if (this.geofenceEvents.length === 0) {
+            feed.innerHTML = '<li class="event-item">No events yet</li>';
+            return;
+        }
+
+        feed.innerHTML = this.geofenceEvents.map(event => {
+            const time = new Date(event.timestamp).toLocaleString();
+            const verb = event.type === 'enter' ? 'Entered' : 'Left';
+            const device = showDevice ? `${this.escapeHtml(this.devices[event.device]?.name || event.device)} ` : '';
+            return `
+                <li class="event-item ${event.type}">
+                    <span class="event-time">${time}</span>
+                    <span>${device}<span class="event-type">${verb}</span> ${this.escapeHtml(event.fenceName)}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
     clearPOIMarkers() {
         this.poiMarkers.forEach(marker => {
             this.map.removeLayer(marker);
@@ -471,7 +1714,7 @@ document.addEventListener('DOMContentLoaded', () => {
             console.log('Page hidden, maintaining tracking...');
         } else {
             console.log('Page visible, ensuring tracking is active...');
-            if (gpsTracker && !gpsTracker.pollInterval) {
+            if (gpsTracker && !gpsTracker.isTracking()) {
                 gpsTracker.startTracking();
             }
         }
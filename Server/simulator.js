@@ -0,0 +1,279 @@
+#!/usr/bin/env node
+// Replays a GPX track or raw NMEA log into a running server's /receivedata endpoint.
+//
+// Usage: node simulator.js <file.gpx|file.nmea> [options]
+//   --url <base>          Server base URL (default http://localhost:4000)
+//   --key <key>           API key with the ingest scope (default API_KEY from .env)
+//   --device <id>         Device identifier to report as (default: none, i.e. "default")
+//   --rate <factor>       Playback speed multiplier, 1 = real time (default 1)
+//   --interval <ms>       Delay between points without timestamps (default 2000)
+//   --nofix-every <n>     Inject a no-fix gap after every n fixes (default off)
+//   --nofix-count <n>     Number of no-fix packets per gap (default 5)
+//   --loss <0..1>         Probability that a packet is silently dropped (default 0)
+//   --loop                Start over when the end of the file is reached
+//   --checksum-optional   Accept NMEA sentences without a *hh checksum (hand-written logs)
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+const { haversineMeters } = require("./geo");
+const { parseNMEA } = require("./nmea");
+
+dotenv.config({ path: path.join(__dirname, '.env'), quiet: true });
+
+function parseArgs(argv) {
+    const options = {
+        file: null,
+        url: "http://localhost:4000",
+        key: process.env.API_KEY,
+        device: null,
+        rate: 1,
+        interval: 2000,
+        nofixEvery: 0,
+        nofixCount: 5,
+        loss: 0,
+        loop: false,
+        checksumOptional: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        const next = () => {
+            if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+            return argv[++i];
+        };
+        switch (arg) {
+            case '--url': options.url = next(); break;
+            case '--key': options.key = next(); break;
+            case '--device': options.device = next(); break;
+            case '--rate': options.rate = parseFloat(next()); break;
+            case '--interval': options.interval = parseInt(next()); break;
+            case '--nofix-every': options.nofixEvery = parseInt(next()); break;
+            case '--nofix-count': options.nofixCount = parseInt(next()); break;
+            case '--loss': options.loss = parseFloat(next()); break;
+            case '--loop': options.loop = true; break;
+            case '--checksum-optional': options.checksumOptional = true; break;
+            case '--help':
+            case '-h':
+                options.help = true;
+                break;
+            default:
+                if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}`);
+                options.file = arg;
+        }
+    }
+
+    if (!(options.rate > 0)) throw new Error("--rate must be a positive number");
+    if (!(options.interval > 0)) throw new Error("--interval must be a positive number");
+    if (!(options.loss >= 0 && options.loss < 1)) throw new Error("--loss must be between 0 and 1");
+    return options;
+}
+
+/*
+ Parsed point structure:
+ {
+     lat: Number, lng: Number,
+     alt: Number|null,
+     speed: Number|null,   // km/h
+     sats: Number|null,
+     hdop: Number|null,
+     time: Number|null     // epoch ms
+ }
+*/
+
+function parseGPX(text) {
+    const points = [];
+    const pattern = /<(trkpt|rtept|wpt)\b([^>]*)>([\s\S]*?)<\/\1>/g;
+    const tag = (body, name) => {
+        const match = body.match(new RegExp(`<(?:\\w+:)?${name}>([^<]*)</(?:\\w+:)?${name}>`));
+        return match ? match[1].trim() : null;
+    };
+    const number = value => (value === null || value === '' ? null : parseFloat(value));
+
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        const attrs = match[2];
+        const body = match[3];
+        const lat = attrs.match(/lat="([^"]+)"/);
+        const lon = attrs.match(/lon="([^"]+)"/);
+        if (!lat || !lon) continue;
+
+        const time = tag(body, 'time');
+        const speed = number(tag(body, 'speed')); // m/s in Garmin extensions
+        points.push({
+            lat: parseFloat(lat[1]),
+            lng: parseFloat(lon[1]),
+            alt: number(tag(body, 'ele')),
+            speed: speed !== null ? speed * 3.6 : null,
+            sats: number(tag(body, 'sat')),
+            hdop: number(tag(body, 'hdop')),
+            time: time ? new Date(time).getTime() : null
+        });
+    }
+    return points;
+}
+
+// One point per NMEA epoch with a valid fix
+function parseNMEAPoints(text, options) {
+    return parseNMEA(text, { allowMissingChecksum: options.checksumOptional }).epochs
+        .filter(epoch => epoch.fix && epoch.lat !== null && epoch.lng !== null)
+        .map(epoch => ({
+            lat: epoch.lat,
+            lng: epoch.lng,
+            alt: epoch.alt,
+            speed: epoch.speed,
+            sats: epoch.sats,
+            hdop: epoch.hdop,
+            time: epoch.time
+        }));
+}
+
+function loadTrack(file, options) {
+    const text = fs.readFileSync(file, "utf8");
+    const points = /<gpx[\s>]/.test(text) ? parseGPX(text) : parseNMEAPoints(text, options);
+
+    // Fill in speed from distance/time when the source did not carry it
+    for (let i = 1; i < points.length; i++) {
+        const prev = points[i - 1];
+        const point = points[i];
+        if (point.speed === null && point.time !== null && prev.time !== null && point.time > prev.time) {
+            point.speed = haversineMeters(prev, point) / ((point.time - prev.time) / 1000) * 3.6;
+        }
+    }
+    return points;
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function send(options, params) {
+    if (Math.random() < options.loss) {
+        console.log("(dropped - simulated signal loss)");
+        return;
+    }
+
+    const url = new URL('/receivedata', options.url);
+    if (options.device) url.searchParams.set('device', options.device);
+    for (const [name, value] of Object.entries(params)) {
+        if (value !== null && typeof value !== 'undefined') url.searchParams.set(name, value);
+    }
+
+    try {
+        const response = await fetch(url, { headers: { Authorization: `Bearer ${options.key}` } });
+        if (!response.ok) {
+            console.error(`Server responded ${response.status}: ${await response.text()}`);
+        }
+    } catch (error) {
+        console.error("Request failed:", error.message);
+    }
+}
+
+function fixParams(point, time) {
+    return {
+        fix: 'true',
+        time: new Date(time).toISOString(),
+        lat: point.lat.toFixed(6),
+        lng: point.lng.toFixed(6),
+        speed: (point.speed ?? 0).toFixed(2),
+        alt: (point.alt ?? 0).toFixed(2),
+        sats: point.sats,
+        hdop: point.hdop
+    };
+}
+
+function noFixParams(time) {
+    return {
+        fix: 'false',
+        time: new Date(time).toISOString(),
+        sats: Math.floor(Math.random() * 4),
+        hdop: '99.99'
+    };
+}
+
+// Track time (ms) from each point to the next, as the device clock sees it
+function trackGaps(points, options) {
+    return points.map((point, i) => {
+        const next = points[i + 1];
+        if (!next) return 0;
+        if (point.time !== null && next.time !== null && next.time > point.time) return next.time - point.time;
+        return options.interval;
+    });
+}
+
+async function replay(points, options) {
+    let sinceGap = 0;
+
+    // Packets carry the track's own spacing as device time, so the server's implied-speed
+    // check sees real speeds at any --rate. Faster than real time, the pass is dated back
+    // so that its last point lands at the moment it is sent and no timestamp is in the future.
+    const gaps = trackGaps(points, options);
+    const duration = gaps.reduce((sum, gap) => sum + gap, 0);
+    let clock = Date.now() - duration * Math.max(1 - 1 / options.rate, 0);
+
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        const next = points[i + 1];
+
+        console.log(`[${i + 1}/${points.length}] FIX ${point.lat.toFixed(6)}, ${point.lng.toFixed(6)}`);
+        await send(options, fixParams(point, clock));
+
+        let gap = gaps[i];
+        sinceGap++;
+        if (options.nofixEvery > 0 && sinceGap >= options.nofixEvery && next) {
+            sinceGap = 0;
+            // Spread the gap over the time until the next fix
+            const step = gap / (options.nofixCount + 1);
+            for (let n = 0; n < options.nofixCount; n++) {
+                await sleep(step / options.rate);
+                clock += step;
+                console.log("NO FIX (injected gap)");
+                await send(options, noFixParams(clock));
+            }
+            gap = step;
+        }
+
+        if (next) {
+            await sleep(gap / options.rate);
+            clock += gap;
+        }
+    }
+}
+
+async function main() {
+    let options;
+    try {
+        options = parseArgs(process.argv.slice(2));
+    } catch (error) {
+        console.error(error.message);
+        process.exit(1);
+    }
+
+    if (options.help || !options.file) {
+        const header = fs.readFileSync(__filename, "utf8").split("\n").slice(1, 15);
+        console.log(header.map(line => line.replace(/^\/\/ ?/, '')).join("\n"));
+        process.exit(options.help ? 0 : 1);
+    }
+    if (!options.key) {
+        console.error("No API key, pass --key or set API_KEY in .env");
+        process.exit(1);
+    }
+
+    const points = loadTrack(options.file, options);
+    if (points.length === 0) {
+        console.error(`No usable points found in ${options.file}`);
+        process.exit(1);
+    }
+    console.log(`Replaying ${points.length} points to ${options.url} at ${options.rate}x`);
+
+    do {
+        await replay(points, options);
+    } while (options.loop);
+
+    console.log("Replay finished");
+}
+
+main().catch(error => {
+    console.error(error.message);
+    process.exit(1);
+});
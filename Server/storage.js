@@ -0,0 +1,494 @@
+// Persistence for server state: JSON files (default) or an embedded SQLite database
+const fs = require("fs");
+const path = require("path");
+
+/*
+ Stores hold one JSON document each (an array or object), named after the file the JSON
+ backend keeps it in: "poi" -> poi.json. Position history is kept separately because
+ it is append-heavy and can hold hundreds of thousands of points.
+
+ Backend interface:
+ {
+     name: "json"|"sqlite",
+     load(store, fallback, reload), // the document, or fallback when missing or unreadable; with reload
+                                 // (re-reading after a change outside the server) an unreadable
+                                 // document is left in place and UNREADABLE returned instead
+     save(store, value),         // true on success
+     saveLater(store, value),    // queued for the next flush (createStorage adds this)
+     queryHistory(from, to, device), // points with from <= time <= to (epoch ms, null = open), oldest first;
+                                 // device null = all devices
+     addHistory(points),         // new points, any order; equal timestamps keep stored points first
+     pruneHistory(cutoff, max),  // drops points older than cutoff, then the oldest beyond max; returns the count
+     flush(),                    // writes queued changes (createStorage adds this)
+     watch(onChange),            // optional; calls onChange(store) when a document may have changed outside the server
+     close()                     // flushes first
+ }
+
+ createStorage keeps every document in memory after its first load, so load() returns the same
+ object until the next save; change it only to save it.
+*/
+const STORES = [
+    "wifi", "latest-gps", "poi", "config", "config-history", "devices", "geofences",
+    "geofence-events", "poi-events", "speed-violations", "webhooks", "keys", "shares", "privacy-zones",
+    "rejected-fixes", "telemetry"
+];
+const JSON_INDENT = { poi: 4 }; // poi.json is tracked in git with 4-space indentation
+const HISTORY_FILE = "gps-history.jsonl";
+const MISSING = Symbol("missing");
+const UNREADABLE = Symbol("unreadable");
+const WATCH_DEBOUNCE_MS = 200; // editors often save in several steps (truncate, write, rename)
+
+const pointTime = point => new Date(point.timestamp).getTime();
+const pointDevice = point => point.device || "default"; // points from before multi-device support
+const byTime = (a, b) => pointTime(a) - pointTime(b);
+
+// A crash mid-write leaves the old file or a stray .tmp, never a truncated document
+function writeFileAtomic(file, content) {
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, content);
+    fs.renameSync(tmp, file);
+}
+
+function createJsonStorage(dir) {
+    const file = store => path.join(dir, `${store}.json`);
+    const historyFile = path.join(dir, HISTORY_FILE);
+    let history = null; // the whole file, oldest first, read on first use
+    let rewrite = null; // { queued, again } while pruning rewrites the file in the background
+    let watcher = null;
+
+    const historyLines = points => points.map(p => JSON.stringify(p) + "\n").join("");
+
+    const appendHistory = points => {
+        try {
+            fs.appendFileSync(historyFile, historyLines(points));
+        } catch (error) {
+            console.error('Error writing GPS history:', error);
+        }
+    };
+
+    // Runs off the request path; points added meanwhile are appended once the new file is in place
+    const rewriteHistory = () => {
+        if (rewrite) {
+            rewrite.again = true;
+            return;
+        }
+        const job = rewrite = { queued: [], again: false };
+        const tmp = `${historyFile}.rewrite`;
+        fs.promises.writeFile(tmp, historyLines(history))
+            .then(() => rewrite === job && fs.promises.rename(tmp, historyFile))
+            .catch(error => console.error('Error pruning GPS history:', error))
+            .finally(() => {
+                if (rewrite !== job) return; // close() wrote the file itself
+                rewrite = null;
+                if (job.again) rewriteHistory();
+                else if (job.queued.length > 0) appendHistory(job.queued);
+            });
+    };
+
+    // Points are kept in timestamp order, so a range is a binary search away
+    const findIndex = time => {
+        let lo = 0;
+        let hi = history.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (pointTime(history[mid]) < time) lo = mid + 1;
+            else hi = mid;
+        }
+        return lo;
+    };
+
+    const loadHistory = () => {
+        if (history) return history;
+        history = [];
+        try {
+            if (fs.existsSync(historyFile)) {
+                for (const line of fs.readFileSync(historyFile, "utf8").split("\n")) {
+                    if (!line.trim()) continue;
+                    try {
+                        history.push(JSON.parse(line));
+                    } catch (error) {
+                        // skip partially written line
+                    }
+                }
+            }
+        } catch (error) {
+            console.error('Error loading GPS history:', error);
+        }
+        // The file is in arrival order; the sort is stable, so equal timestamps keep that order
+        history.sort(byTime);
+        return history;
+    };
+
+    return {
+        name: "json",
+
+        load(store, fallback, reload = false) {
+            let content;
+            try {
+                if (!fs.existsSync(file(store))) return fallback;
+                content = fs.readFileSync(file(store), "utf8");
+            } catch (error) {
+                console.error(`Error loading ${store}.json:`, error);
+                return reload ? UNREADABLE : fallback;
+            }
+            try {
+                return JSON.parse(content);
+            } catch (error) {
+                if (reload) {
+                    // Most likely a hand edit in progress or a typo; keep serving what was loaded
+                    console.error(`${store}.json does not parse (${error.message}), keeping the loaded version`);
+                    return UNREADABLE;
+                }
+                // Keep the damaged file for inspection instead of overwriting it on the next save
+                const corrupt = `${file(store)}.corrupt-${Date.now()}`;
+                try {
+                    fs.renameSync(file(store), corrupt);
+                } catch (renameError) {
+                    // leave it; the next save replaces it
+                }
+                console.error(`${store}.json is corrupt (${error.message}), moved to ${path.basename(corrupt)}; starting empty`);
+                return fallback;
+            }
+        },
+
+        save(store, value) {
+            try {
+                writeFileAtomic(file(store), JSON.stringify(value, null, JSON_INDENT[store] || 2));
+                return true;
+            } catch (error) {
+                console.error(`Error saving ${store}.json:`, error);
+                return false;
+            }
+        },
+
+        queryHistory(from, to, device) {
+            loadHistory();
+            const start = from === null ? 0 : findIndex(from);
+            const end = to === null ? history.length : findIndex(to + 1);
+            const points = history.slice(start, end);
+            return device === null ? points : points.filter(p => pointDevice(p) === device);
+        },
+
+        // The file is only ever appended to, out-of-order points included; loading sorts it
+        addHistory(points) {
+            loadHistory();
+            points = [...points].sort(byTime);
+            const last = history[history.length - 1];
+            if (!last || pointTime(points[0]) >= pointTime(last)) {
+                history.push(...points);
+            } else {
+                const merged = [];
+                let i = 0;
+                for (const point of points) {
+                    while (i < history.length && pointTime(history[i]) <= pointTime(point)) merged.push(history[i++]);
+                    merged.push(point);
+                }
+                while (i < history.length) merged.push(history[i++]);
+                history = merged;
+            }
+            if (rewrite) rewrite.queued.push(...points);
+            else appendHistory(points);
+        },
+
+        pruneHistory(cutoff, max) {
+            loadHistory();
+            const start = Math.max(findIndex(cutoff), history.length - max);
+            if (start <= 0) return 0;
+            history = history.slice(start);
+            rewriteHistory();
+            return start;
+        },
+
+        // Hand edits (poi.json, wifi.json, ...) take effect without a restart. Our own writes
+        // trigger it too, which only costs one extra read of that file.
+        watch(onChange) {
+            try {
+                watcher = fs.watch(dir, (eventType, filename) => {
+                    const match = filename && /^(.+)\.json$/.exec(filename.toString());
+                    if (match && STORES.includes(match[1])) onChange(match[1]);
+                });
+                watcher.unref();
+            } catch (error) {
+                console.error('Cannot watch the data directory, hand edits need a restart:', error.message);
+            }
+        },
+
+        close() {
+            if (watcher) watcher.close();
+            if (rewrite) {
+                // The process is about to exit, so finish the pruned file synchronously
+                rewrite = null;
+                try {
+                    writeFileAtomic(historyFile, historyLines(history));
+                } catch (error) {
+                    console.error('Error pruning GPS history:', error);
+                }
+            }
+        }
+    };
+}
+
+/*
+ SQLite schema, upgraded in order by MIGRATIONS; PRAGMA user_version holds the number applied.
+ Append new migrations at the end, never edit one that has shipped.
+*/
+const MIGRATIONS = [
+    db => db.exec(`
+        CREATE TABLE documents (
+            name TEXT PRIMARY KEY,
+            value TEXT NOT NULL,
+            updated_at TEXT NOT NULL
+        );
+        CREATE TABLE meta (
+            key TEXT PRIMARY KEY,
+            value TEXT
+        );
+    `),
+    db => db.exec(`
+        CREATE TABLE history (
+            id INTEGER PRIMARY KEY,
+            time INTEGER NOT NULL,
+            device TEXT NOT NULL,
+            point TEXT NOT NULL
+        );
+        CREATE INDEX history_time ON history (time);
+    `),
+    db => db.exec(`
+        CREATE INDEX history_device_time ON history (device, time);
+    `)
+];
+
+function migrate(db) {
+    const current = db.pragma("user_version", { simple: true });
+    for (let version = current; version < MIGRATIONS.length; version++) {
+        db.transaction(() => {
+            MIGRATIONS[version](db);
+            db.pragma(`user_version = ${version + 1}`);
+        })();
+        console.log(`Storage: applied SQLite migration ${version + 1}`);
+    }
+}
+
+// Copies the JSON files into a fresh database once; the files are left in place
+function importJsonFiles(db, storage, dir) {
+    if (db.prepare("SELECT value FROM meta WHERE key = 'imported_json'").get()) return;
+
+    const json = createJsonStorage(dir);
+    let stores = 0;
+    for (const store of STORES) {
+        const value = json.load(store, undefined);
+        if (typeof value === 'undefined') continue;
+        storage.save(store, value);
+        stores++;
+    }
+    const history = json.queryHistory(null, null, null);
+    if (history.length > 0) storage.addHistory(history);
+
+    db.prepare("INSERT INTO meta (key, value) VALUES ('imported_json', ?)").run(new Date().toISOString());
+    console.log(`Storage: imported ${stores} JSON files and ${history.length} history points into SQLite`);
+}
+
+function createSqliteStorage(file, dir) {
+    let Database;
+    try {
+        Database = require("better-sqlite3");
+    } catch (error) {
+        throw new Error("STORAGE_BACKEND=sqlite needs the better-sqlite3 package (npm install better-sqlite3)");
+    }
+
+    const db = new Database(file);
+    db.pragma("journal_mode = WAL");
+    migrate(db);
+
+    const selectDocument = db.prepare("SELECT value FROM documents WHERE name = ?");
+    const upsertDocument = db.prepare(`
+        INSERT INTO documents (name, value, updated_at) VALUES (?, ?, ?)
+        ON CONFLICT (name) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+    `);
+    const insertPoint = db.prepare("INSERT INTO history (time, device, point) VALUES (?, ?, ?)");
+    const insertPoints = db.transaction(points => {
+        for (const point of points) {
+            insertPoint.run(pointTime(point), pointDevice(point), JSON.stringify(point));
+        }
+    });
+    // Open bounds become the widest integers so every range query uses one statement
+    const selectRange = db.prepare("SELECT point FROM history WHERE time BETWEEN ? AND ? ORDER BY time, id");
+    const selectDeviceRange = db.prepare(
+        "SELECT point FROM history WHERE device = ? AND time BETWEEN ? AND ? ORDER BY time, id");
+
+    const storage = {
+        name: "sqlite",
+
+        load(store, fallback) {
+            try {
+                const row = selectDocument.get(store);
+                if (row) return JSON.parse(row.value);
+            } catch (error) {
+                console.error(`Error loading ${store} from SQLite:`, error);
+            }
+            return fallback;
+        },
+
+        save(store, value) {
+            try {
+                upsertDocument.run(store, JSON.stringify(value), new Date().toISOString());
+                return true;
+            } catch (error) {
+                console.error(`Error saving ${store} to SQLite:`, error);
+                return false;
+            }
+        },
+
+        queryHistory(from, to, device) {
+            const range = [from ?? Number.MIN_SAFE_INTEGER, to ?? Number.MAX_SAFE_INTEGER];
+            try {
+                const rows = device === null ? selectRange.all(...range) : selectDeviceRange.all(device, ...range);
+                return rows.map(row => JSON.parse(row.point));
+            } catch (error) {
+                console.error('Error loading GPS history:', error);
+                return [];
+            }
+        },
+
+        // Rows are ordered when queried, so out-of-order points need no rewrite
+        addHistory(points) {
+            try {
+                insertPoints(points);
+            } catch (error) {
+                console.error('Error writing GPS history:', error);
+            }
+        },
+
+        pruneHistory(cutoff, max) {
+            try {
+                let removed = db.prepare("DELETE FROM history WHERE time < ?").run(cutoff).changes;
+                const { count } = db.prepare("SELECT COUNT(*) AS count FROM history").get();
+                if (count > max) {
+                    removed += db.prepare(
+                        "DELETE FROM history WHERE id IN (SELECT id FROM history ORDER BY time, id LIMIT ?)"
+                    ).run(count - max).changes;
+                }
+                return removed;
+            } catch (error) {
+                console.error('Error pruning GPS history:', error);
+                return 0;
+            }
+        },
+
+        close() {
+            db.close();
+        }
+    };
+
+    importJsonFiles(db, storage, dir);
+    return storage;
+}
+
+/*
+ Write-behind layer over a backend. saveLater() and addHistory() only update what is
+ queued; flush() writes it every writeInterval ms and on close(). Reads come from memory and
+ see queued documents and points, so callers never notice the delay and packets cause no file reads.
+ save() still writes at once, for admin changes that should survive a crash. A writeInterval
+ of 0 writes everything immediately.
+*/
+function withWriteBehind(backend, writeInterval) {
+    const documents = new Map(); // store -> loaded or saved value, MISSING when there is none
+    const pending = new Map();   // store -> latest queued value
+    let pendingPoints = [];      // history points not handed to the backend yet
+
+    const storage = {
+        name: backend.name,
+
+        load(store, fallback) {
+            if (!documents.has(store)) documents.set(store, backend.load(store, MISSING));
+            const value = documents.get(store);
+            return value === MISSING ? fallback : value;
+        },
+
+        save(store, value) {
+            pending.delete(store);
+            const saved = backend.save(store, value);
+            // A failed save may leave a half-changed object behind; reread the stored one next time
+            if (saved) documents.set(store, value);
+            else documents.delete(store);
+            return saved;
+        },
+
+        saveLater(store, value) {
+            documents.set(store, value);
+            pending.set(store, value);
+            if (!writeInterval) storage.flush();
+        },
+
+        queryHistory(from, to, device) {
+            const points = backend.queryHistory(from, to, device);
+            const queued = pendingPoints.filter(p =>
+                (from === null || pointTime(p) >= from) && (to === null || pointTime(p) <= to) &&
+                (device === null || pointDevice(p) === device));
+            // Stable, so stored points stay ahead of queued ones with the same timestamp
+            return queued.length > 0 ? [...points, ...queued].sort(byTime) : points;
+        },
+
+        addHistory(points) {
+            pendingPoints.push(...points);
+            if (!writeInterval) storage.flush();
+        },
+
+        pruneHistory(cutoff, max) {
+            storage.flush();
+            return backend.pruneHistory(cutoff, max);
+        },
+
+        flush() {
+            for (const [store, value] of pending) {
+                // A failed write stays queued for the next flush
+                if (backend.save(store, value)) pending.delete(store);
+            }
+            if (pendingPoints.length > 0) {
+                backend.addHistory(pendingPoints);
+                pendingPoints = [];
+            }
+        },
+
+        close() {
+            clearInterval(timer);
+            storage.flush();
+            backend.close();
+        }
+    };
+
+    if (backend.watch) {
+        const reloads = new Map(); // store -> debounce timer
+        backend.watch(store => {
+            clearTimeout(reloads.get(store));
+            const timer = setTimeout(() => {
+                reloads.delete(store);
+                // Queued values are newer than anything on disk; unloaded stores are read on first use
+                if (pending.has(store) || !documents.has(store)) return;
+                const value = backend.load(store, MISSING, true);
+                if (value !== UNREADABLE) documents.set(store, value);
+            }, WATCH_DEBOUNCE_MS);
+            timer.unref();
+            reloads.set(store, timer);
+        });
+    }
+
+    const timer = writeInterval ? setInterval(storage.flush, writeInterval) : null;
+    if (timer) timer.unref();
+    return storage;
+}
+
+// options: { backend: "json"|"sqlite", dir: data directory, sqliteFile, writeInterval: ms }
+function createStorage(options) {
+    const dir = options.dir || ".";
+    const writeInterval = options.writeInterval ?? 5000;
+    if (options.backend === "sqlite") {
+        return withWriteBehind(createSqliteStorage(options.sqliteFile || path.join(dir, "tracker.db"), dir), writeInterval);
+    }
+    if (options.backend && options.backend !== "json") {
+        throw new Error(`Unknown STORAGE_BACKEND "${options.backend}" (use json or sqlite)`);
+    }
+    return withWriteBehind(createJsonStorage(dir), writeInterval);
+}
+
+module.exports = { createStorage, STORES };
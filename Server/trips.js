@@ -0,0 +1,144 @@
+// Splits a device's recorded fixes into trips separated by stops
+const { haversineMeters } = require("./geo");
+
+const ELEVATION_NOISE_M = 3; // climbs smaller than this are treated as altitude jitter
+
+/*
+ Trip structure:
+ {
+     id: String,             // "<device>-<start epoch ms>", stable while the start point is retained
+     device: String,
+     start: { timestamp, lat, lng },
+     end: { timestamp, lat, lng },
+     ongoing: Boolean,       // no stop detected after the last fix yet
+     distance: Number,       // meters
+     duration: Number,       // seconds from start to end
+     movingTime: Number,     // seconds spent above the stop speed
+     avgSpeed: Number,       // km/h over the moving time
+     maxSpeed: Number,       // km/h
+     elevationGain: Number,  // meters
+     pointCount: Number,
+     firstIndex, lastIndex: Number // bounds in the points passed to segmentTrips
+ }
+*/
+
+function pointTime(point) {
+    return new Date(point.timestamp).getTime();
+}
+
+// Reported speed, or the speed implied by the distance from the previous fix
+function pointSpeed(point, previous) {
+    if (typeof point.speed === 'number') return point.speed;
+    if (!previous) return 0;
+    const seconds = (pointTime(point) - pointTime(previous)) / 1000;
+    return seconds > 0 ? haversineMeters(previous, point) / seconds * 3.6 : 0;
+}
+
+function summarizeTrip(device, points, firstIndex, lastIndex, options) {
+    let distance = 0;
+    let movingTime = 0;
+    let maxSpeed = 0;
+    let elevationGain = 0;
+    let climbBase = null;
+
+    for (let i = firstIndex; i <= lastIndex; i++) {
+        const point = points[i];
+        const previous = i > firstIndex ? points[i - 1] : null;
+        const speed = pointSpeed(point, previous);
+        maxSpeed = Math.max(maxSpeed, speed);
+
+        if (previous) {
+            distance += haversineMeters(previous, point);
+            if (speed >= options.stopSpeed) {
+                movingTime += (pointTime(point) - pointTime(previous)) / 1000;
+            }
+        }
+
+        if (typeof point.alt === 'number') {
+            if (climbBase === null || point.alt < climbBase) {
+                climbBase = point.alt;
+            } else if (point.alt - climbBase >= ELEVATION_NOISE_M) {
+                elevationGain += point.alt - climbBase;
+                climbBase = point.alt;
+            }
+        }
+    }
+
+    const first = points[firstIndex];
+    const last = points[lastIndex];
+    const place = p => ({ timestamp: p.timestamp, lat: p.lat, lng: p.lng });
+    const round = (value, digits) => Math.round(value * 10 ** digits) / 10 ** digits;
+    return {
+        id: `${device}-${pointTime(first)}`,
+        device,
+        start: place(first),
+        end: place(last),
+        ongoing: false,
+        distance: Math.round(distance),
+        duration: Math.round((pointTime(last) - pointTime(first)) / 1000),
+        movingTime: Math.round(movingTime),
+        avgSpeed: movingTime > 0 ? round(distance / movingTime * 3.6, 1) : 0,
+        maxSpeed: round(maxSpeed, 1),
+        elevationGain: Math.round(elevationGain),
+        pointCount: lastIndex - firstIndex + 1,
+        firstIndex,
+        lastIndex
+    };
+}
+
+/*
+ Splits fixes (oldest first, one device) at stops. A stop is a run of fixes below
+ options.stopSpeed (km/h) lasting at least options.stopSeconds, or a gap without
+ fixes of that length. Trips shorter than options.minDistance meters are dropped.
+*/
+function segmentTrips(device, points, options) {
+    const trips = [];
+    const stopMs = options.stopSeconds * 1000;
+    let tripStart = -1;  // index of the first fix of the current trip
+    let lastMoving = -1; // index of the latest fix above the stop speed
+
+    const closeTrip = (endIndex) => {
+        if (tripStart >= 0 && endIndex > tripStart) {
+            const trip = summarizeTrip(device, points, tripStart, endIndex, options);
+            if (trip.distance >= options.minDistance) trips.push(trip);
+        }
+        tripStart = -1;
+    };
+
+    for (let i = 0; i < points.length; i++) {
+        const point = points[i];
+        const previous = i > 0 ? points[i - 1] : null;
+
+        if (tripStart >= 0 && previous && pointTime(point) - pointTime(previous) >= stopMs) {
+            // Nothing recorded for a whole stop period: the tracker was parked or off
+            closeTrip(lastMoving);
+        }
+
+        if (pointSpeed(point, previous) >= options.stopSpeed) {
+            if (tripStart < 0) {
+                // Start from the last stationary fix so the first leg is counted
+                const gapBefore = previous && pointTime(point) - pointTime(previous) >= stopMs;
+                tripStart = previous && !gapBefore ? i - 1 : i;
+            }
+            lastMoving = i;
+        } else if (tripStart >= 0 && pointTime(point) - pointTime(points[lastMoving]) >= stopMs) {
+            // End at the first fix of the stop, where the vehicle came to rest
+            closeTrip(Math.min(lastMoving + 1, i));
+        }
+    }
+
+    if (tripStart >= 0) {
+        const endIndex = points.length - 1;
+        if (Date.now() - pointTime(points[endIndex]) >= stopMs) {
+            // The tracker went quiet mid-trip and never reported the stop
+            closeTrip(Math.min(lastMoving + 1, endIndex));
+        } else {
+            const trip = summarizeTrip(device, points, tripStart, endIndex, options);
+            trip.ongoing = true;
+            if (trip.distance >= options.minDistance) trips.push(trip);
+        }
+    }
+    return trips;
+}
+
+module.exports = { segmentTrips };
@@ -0,0 +1,93 @@
+// Outbound webhook delivery with HMAC signing and an in-memory retry queue
+
+const crypto = require("crypto");
+
+const WEBHOOK_EVENTS = [
+    "device.offline",            // no packet for the configured offline threshold
+    "device.online",             // first packet after being offline
+    "device.first_packet_today", // first packet since local midnight
+    "fix.lost",                  // packet without fix after a packet with fix
+    "fix.acquired",              // packet with fix after a packet without fix
+    "test"                       // sent from the admin panel
+];
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY_MS = 5000; // 5s, 10s, 20s, ... capped below
+const MAX_RETRY_DELAY_MS = 10 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10000;
+
+const pending = new Set(); // deliveries waiting for a retry timer
+
+function signPayload(secret, body) {
+    return "sha256=" + crypto.createHmac("sha256", secret).update(body).digest("hex");
+}
+
+function retryDelay(attempt) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+}
+
+async function deliver(delivery) {
+    const { hook, body, event, id } = delivery;
+    delivery.attempt++;
+
+    const headers = {
+        "Content-Type": "application/json",
+        "User-Agent": "esp32-gps-follower-webhook",
+        "X-Tracker-Event": event,
+        "X-Tracker-Delivery": id
+    };
+    if (hook.secret) headers["X-Tracker-Signature"] = signPayload(hook.secret, body);
+
+    try {
+        const response = await fetch(hook.url, {
+            method: "POST",
+            headers,
+            body,
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+        });
+        if (response.ok) return true;
+        console.error(`Webhook ${event} to ${hook.url} failed: HTTP ${response.status} (attempt ${delivery.attempt})`);
+    } catch (error) {
+        console.error(`Webhook ${event} to ${hook.url} failed: ${error.message} (attempt ${delivery.attempt})`);
+    }
+
+    if (delivery.attempt >= MAX_ATTEMPTS) {
+        console.error(`Webhook ${event} to ${hook.url} dropped after ${MAX_ATTEMPTS} attempts`);
+        return false;
+    }
+
+    pending.add(delivery);
+    setTimeout(() => {
+        pending.delete(delivery);
+        deliver(delivery);
+    }, retryDelay(delivery.attempt));
+    return false;
+}
+
+// Sends an event to every enabled hook subscribed to it; resolves after the first attempt
+function dispatchWebhookEvent(hooks, event, data) {
+    const payload = {
+        event,
+        timestamp: new Date().toISOString(),
+        ...data
+    };
+    const body = JSON.stringify(payload);
+
+    const targets = hooks.filter(hook =>
+        hook.enabled !== false &&
+        (!Array.isArray(hook.events) || hook.events.length === 0 || hook.events.includes(event) || event === "test"));
+
+    return Promise.all(targets.map(hook => deliver({
+        id: crypto.randomUUID(),
+        hook,
+        event,
+        body,
+        attempt: 0
+    })));
+}
+
+function pendingWebhookCount() {
+    return pending.size;
+}
+
+module.exports = { WEBHOOK_EVENTS, dispatchWebhookEvent, pendingWebhookCount };